@@ -5,7 +5,10 @@
  * 
  * This server provides comprehensive production-ready features including:
  * - Global error handling (uncaughtException, unhandledRejection)
+ * - Opt-in crash diagnostics (diagnostic report, heap snapshot, recent requests)
  * - Graceful shutdown (SIGTERM, SIGINT, SIGQUIT)
+ * - Optional cluster mode with rolling restarts (SIGHUP)
+ * - HTTPS, mutual TLS and HTTP/2 listeners with certificate hot-reload
  * - Input validation using express-validator
  * - Resource tracking and cleanup
  * - Health check endpoints for orchestrators
@@ -17,271 +20,4544 @@
 // EXTERNAL DEPENDENCIES
 // =============================================================================
 
+const cluster = require('cluster');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const http2 = require('http2');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { promisify } = require('util');
+const v8 = require('v8');
 const express = require('express');
-const { body, param, query, validationResult } = require('express-validator');
+const { body, checkSchema, validationResult } = require('express-validator');
 
 // =============================================================================
 // CONFIGURATION CONSTANTS
 // =============================================================================
 
 /**
- * Server configuration with environment variable overrides
+ * Configuration settings, their types, limits and defaults
+ * Each key is read from the environment variable of the same name. Values
+ * are layered: defaults, then the JSON config file for the environment
+ * (config/<NODE_ENV>.json, or the file named by CONFIG_FILE), then env vars.
+ * Defaults given as functions are computed from the settings resolved so far.
  */
-const CONFIG = {
+const CONFIG_SCHEMA = {
+  /** Current environment mode (selects the config file) */
+  NODE_ENV: { type: 'string', default: 'development' },
+  
   /** HTTP server port - defaults to 3000 */
-  PORT: parseInt(process.env.PORT, 10) || 3000,
+  PORT: { type: 'integer', min: 0, max: 65535, default: 3000 },
   
   /** Server bind address - defaults to localhost */
-  HOST: process.env.HOST || 'localhost',
+  HOST: { type: 'string', default: 'localhost' },
+  
+  /** TLS certificate chain file (PEM) - set with TLS_KEY_FILE to serve HTTPS */
+  TLS_CERT_FILE: { type: 'string', default: '' },
+  
+  /** TLS private key file (PEM) */
+  TLS_KEY_FILE: { type: 'string', default: '' },
+  
+  /** CA bundle (PEM) that client certificates must chain to */
+  TLS_CA_FILE: { type: 'string', default: '' },
+  
+  /**
+   * Client certificates (mutual TLS): 'off', 'optional' (requested, and
+   * req.socket.authorized tells whether one verified) or 'required'
+   */
+  TLS_CLIENT_CERT: { type: 'enum', values: ['off', 'optional', 'required'], default: 'off' },
+  
+  /** How often the TLS files are checked for changes (ms); changes are loaded without a restart */
+  TLS_WATCH_INTERVAL_MS: { type: 'integer', min: 100, default: 5000 },
+  
+  /** Serve HTTP/2, with HTTP/1.1 for clients that don't negotiate it - requires TLS */
+  HTTP2_ENABLED: { type: 'boolean', default: false },
+  
+  /** Port of a plain-HTTP listener that redirects to HTTPS - defaults to 0 (off); requires TLS */
+  HTTP_REDIRECT_PORT: { type: 'integer', min: 0, max: 65535, default: 0 },
   
   /** Graceful shutdown timeout in milliseconds - defaults to 30 seconds */
-  SHUTDOWN_TIMEOUT_MS: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000,
+  SHUTDOWN_TIMEOUT_MS: { type: 'integer', min: 1, default: 30000 },
   
-  /** Current environment mode */
-  NODE_ENV: process.env.NODE_ENV || 'development',
+  /**
+   * Pre-stop delay in milliseconds - readiness fails but requests are still
+   * served, giving load balancers time to stop routing here (defaults to 0)
+   */
+  SHUTDOWN_DRAIN_DELAY_MS: { type: 'integer', min: 0, default: 0 },
   
-  /** Request body size limit */
-  BODY_LIMIT: '1mb'
-};
-
-// =============================================================================
-// RESOURCE TRACKING MODULE
-// =============================================================================
-
-/**
- * Resource tracking object for managing server connections, timers,
- * and shutdown state. Exported for testing purposes.
- * 
- * @property {Set} connections - Active socket connections
- * @property {Set} timers - Active timer references
- * @property {boolean} isShuttingDown - Flag indicating shutdown in progress
- * @property {Function} cleanup - Cleanup function for additional resources
- */
-const resources = {
-  /** Set of active socket connections for graceful shutdown */
-  connections: new Set(),
+  /** Time allowed to receive a request's headers (ms) - defaults to 60 seconds */
+  HEADERS_TIMEOUT_MS: { type: 'integer', min: 1, default: 60000 },
   
-  /** Set of active timers for cleanup during shutdown */
-  timers: new Set(),
+  /** Time allowed to receive a whole request (ms), 0 for no limit - defaults to 5 minutes */
+  REQUEST_TIMEOUT_MS: { type: 'integer', min: 0, default: 300000 },
   
-  /** Flag to indicate if graceful shutdown is in progress */
-  isShuttingDown: false,
+  /**
+   * How long an idle keep-alive connection stays open (ms) - defaults to 5 seconds.
+   * Behind a load balancer, keep it above the balancer's idle timeout.
+   */
+  KEEP_ALIVE_TIMEOUT_MS: { type: 'integer', min: 1, default: 5000 },
+  
+  /** Deadline for a route to respond (ms), 0 for none - ROUTE_TIMEOUTS overrides it per route */
+  ROUTE_TIMEOUT_MS: { type: 'integer', min: 0, default: 30000 },
   
   /**
-   * Add a tracked timer
-   * @param {NodeJS.Timeout} timer - Timer reference to track
-   * @returns {NodeJS.Timeout} The tracked timer
+   * Response deadlines (ms) for routes that differ from ROUTE_TIMEOUT_MS,
+   * keyed like ROUTE_RATE_LIMITS; 0 disables the deadline for that route.
+   * Configured entries (JSON) are merged over these defaults.
    */
-  addTimer: function(timer) {
-    this.timers.add(timer);
-    return timer;
+  ROUTE_TIMEOUTS: {
+    type: 'routes',
+    entry: routeTimeoutSetting,
+    default: {
+      'POST /api/resources/import': 120000
+    }
+  },
+  
+  /** Worker processes to fork in cluster mode - defaults to 0 (single process) */
+  CLUSTER_WORKERS: { type: 'integer', min: 0, max: 256, default: 0 },
+  
+  /** Delay before restarting a crashed worker (ms), doubled for each consecutive crash */
+  CLUSTER_RESTART_DELAY_MS: { type: 'integer', min: 0, default: 1000 },
+  
+  /** Upper bound for the crashed-worker restart delay (ms) - defaults to 30 seconds */
+  CLUSTER_RESTART_MAX_DELAY_MS: { type: 'integer', min: 0, default: 30000 },
+  
+  /** Request body size limit (bytes, or a size such as '512kb' or '1mb') */
+  BODY_LIMIT: { type: 'size', default: '1mb' },
+  
+  /** Default time limit for each readiness check (ms) */
+  HEALTH_CHECK_TIMEOUT_MS: { type: 'integer', min: 1, default: 2000 },
+  
+  /** Default time limit for each startup or shutdown hook (ms) */
+  LIFECYCLE_HOOK_TIMEOUT_MS: { type: 'integer', min: 1, default: 5000 },
+  
+  /** Minimum log level - defaults to info */
+  LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+  
+  /** Log output format ('json' lines or human-readable 'pretty') - pretty in development */
+  LOG_FORMAT: {
+    type: 'enum',
+    values: ['json', 'pretty'],
+    default: config => (config.NODE_ENV === 'development' ? 'pretty' : 'json')
   },
   
   /**
-   * Remove a tracked timer
-   * @param {NodeJS.Timeout} timer - Timer reference to remove
+   * Extra fields to redact from logs (comma-separated). A bare name matches that
+   * key at any depth; a dotted path (e.g. 'body.profile.ssn', '*' for any key)
+   * matches from the root of the log entry.
    */
-  removeTimer: function(timer) {
-    this.timers.delete(timer);
+  LOG_REDACT_PATHS: { type: 'list', default: [] },
+  
+  /** Write a diagnostic report on uncaught exceptions and unhandled rejections - defaults to off */
+  DIAGNOSTICS_ENABLED: { type: 'boolean', default: false },
+  
+  /** Directory for crash reports and heap snapshots */
+  DIAGNOSTICS_DIR: { type: 'string', default: path.join(__dirname, 'diagnostics') },
+  
+  /** Also write a heap snapshot on crash - slow, as large as the heap, and may contain secrets */
+  DIAGNOSTICS_HEAP_SNAPSHOT: { type: 'boolean', default: false },
+  
+  /** Number of completed requests summarized in crash reports */
+  DIAGNOSTICS_RECENT_REQUESTS: { type: 'integer', min: 0, max: 10000, default: 50 },
+  
+  /** Storage driver for persisted data - defaults to memory */
+  STORE_DRIVER: { type: 'enum', values: ['memory', 'file'], default: 'memory' },
+  
+  /** Directory used by the file storage driver */
+  DATA_DIR: { type: 'string', default: path.join(__dirname, 'data') },
+  
+  /** HMAC secret for signing auth tokens - defaults to a random per-process secret */
+  AUTH_TOKEN_SECRET: {
+    type: 'string',
+    minLength: 32,
+    sensitive: true,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
+  
+  /** Access token lifetime in seconds - defaults to 15 minutes */
+  ACCESS_TOKEN_TTL_S: { type: 'integer', min: 1, default: 900 },
+  
+  /** Refresh token lifetime in seconds - defaults to 7 days */
+  REFRESH_TOKEN_TTL_S: { type: 'integer', min: 1, default: 604800 },
+  
+  /**
+   * Response contract checking against the OpenAPI schemas:
+   * 'strict' replaces mismatching responses with a 500, 'warn' only logs,
+   * 'off' disables it. Defaults to strict in test and warn in development.
+   */
+  RESPONSE_VALIDATION: {
+    type: 'enum',
+    values: ['strict', 'warn', 'off'],
+    default: config => ({ test: 'strict', development: 'warn' }[config.NODE_ENV] || 'off')
   },
   
   /**
-   * Clear all tracked timers
+   * Admin account created at startup if it does not exist yet. Registration
+   * never grants the admin role, so this is how the first admin is made.
    */
-  clearAllTimers: function() {
-    for (const timer of this.timers) {
-      clearTimeout(timer);
-      clearInterval(timer);
+  ADMIN_USERNAME: { type: 'string', default: '' },
+  
+  /** Email address of the startup admin account */
+  ADMIN_EMAIL: { type: 'string', default: '' },
+  
+  /** Password of the startup admin account (only used when creating it) */
+  ADMIN_PASSWORD: { type: 'string', minLength: 8, sensitive: true, default: '' },
+  
+  /** How long Idempotency-Key responses are kept for replay (seconds) - defaults to 24 hours */
+  IDEMPOTENCY_TTL_S: { type: 'integer', min: 1, default: 86400 },
+  
+  /**
+   * How long a key stays locked by a request that has not answered yet
+   * (seconds), so a handler that never answers cannot block retries for the
+   * whole TTL - defaults to 5 minutes
+   */
+  IDEMPOTENCY_LEASE_S: { type: 'integer', min: 1, default: 300 },
+  
+  /** Enforce ROUTE_RATE_LIMITS - defaults to on everywhere except test */
+  RATE_LIMIT_ENABLED: { type: 'boolean', default: config => config.NODE_ENV !== 'test' },
+  
+  /**
+   * Rate limits for each route, keyed like ROUTE_ROLES. Configured entries
+   * (JSON) are merged over these defaults, so
+   * {"POST /api/auth/login": {"limit": 5}} only lowers the login limit.
+   */
+  ROUTE_RATE_LIMITS: {
+    type: 'routes',
+    entry: rateLimitSetting,
+    default: {
+      'POST /api/users': { algorithm: 'fixedWindow', limit: 10, windowMs: 60 * 60 * 1000, keyBy: 'ip' },
+      'POST /api/auth/login': { algorithm: 'tokenBucket', limit: 10, refillPerSecond: 1 / 30, keyBy: 'ip' },
+      'POST /api/auth/refresh': { algorithm: 'fixedWindow', limit: 30, windowMs: 15 * 60 * 1000, keyBy: 'ip' },
+      'GET /api/users': { algorithm: 'tokenBucket', limit: 60, refillPerSecond: 1, keyBy: 'user' }
     }
-    this.timers.clear();
   },
   
   /**
-   * Cleanup hook for additional resources (database connections, etc.)
-   * Override this function to add custom cleanup logic
-   * @returns {Promise<void>}
+   * Express 'trust proxy' setting: true, false, a hop count, or comma-separated
+   * addresses/subnets (e.g. 'loopback,10.0.0.0/8'). Needed for a correct
+   * req.ip and req.secure behind an ingress - defaults to false
    */
-  cleanup: async function() {
-    console.log('[CLEANUP] All resources cleaned up');
-    return Promise.resolve();
-  }
+  TRUST_PROXY: { type: 'string', default: 'false' },
+  
+  /** Origins allowed to call the API from browsers (comma-separated, '*' for any) */
+  CORS_ORIGINS: { type: 'list', default: [] },
+  
+  /** Allow credentialed cross-origin requests (cookies, Authorization) */
+  CORS_ALLOW_CREDENTIALS: { type: 'boolean', default: false },
+  
+  /** How long browsers may cache preflight results (seconds) */
+  CORS_MAX_AGE_S: { type: 'integer', min: 0, default: 600 },
+  
+  /** Content-Security-Policy header; '{nonce}' is replaced by a per-response nonce, 'off' disables it */
+  CONTENT_SECURITY_POLICY: {
+    type: 'string',
+    default: "default-src 'self'; script-src 'self' 'nonce-{nonce}'; style-src 'self' 'nonce-{nonce}'; " +
+      "img-src 'self' data:; object-src 'none'; base-uri 'self'; frame-ancestors 'none'"
+  },
+  
+  /** Strict-Transport-Security max-age for HTTPS responses (seconds, 0 disables) */
+  HSTS_MAX_AGE_S: { type: 'integer', min: 0, default: 15552000 },
+  
+  /** X-Frame-Options value */
+  FRAME_OPTIONS: { type: 'enum', values: ['DENY', 'SAMEORIGIN'], default: 'DENY' }
 };
 
-// =============================================================================
-// EXPRESS APPLICATION SETUP
-// =============================================================================
+/** Body size format accepted by the body parsers (e.g. 1024, '100kb', '1mb') */
+const SIZE_PATTERN = /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i;
 
-/**
- * Express application instance
- * Configured with body parsing, logging, and security middleware
- */
-const app = express();
+/** Keys of per-route settings ("METHOD /route/path", as in ROUTE_ROLES) */
+const ROUTE_KEY_PATTERN = /^(GET|POST|PUT|PATCH|DELETE) \/\S*$/;
 
-/**
- * Request body parsing middleware with size limits
- * Limits help prevent DoS attacks from oversized payloads
- */
-app.use(express.json({ limit: CONFIG.BODY_LIMIT }));
-app.use(express.urlencoded({ extended: true, limit: CONFIG.BODY_LIMIT }));
+/** Named address ranges Express accepts in the 'trust proxy' setting */
+const TRUST_PROXY_RANGES = ['loopback', 'linklocal', 'uniquelocal'];
 
 /**
- * Request logging middleware
- * Logs method, URL, and timestamp for each request
+ * Find the entries of a TRUST_PROXY address list that Express would reject
+ * Entries are addresses, named ranges, or subnets as address/prefix or
+ * address/netmask.
+ * 
+ * @param {string} value - TRUST_PROXY setting
+ * @returns {string[]} Invalid entries (empty for booleans and hop counts)
  */
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  const method = req.method;
-  const url = req.url;
-  
-  console.log(`[${timestamp}] ${method} ${url}`);
+function invalidTrustProxyEntries(value) {
+  if (value === 'true' || value === 'false' || /^\d+$/.test(value)) {
+    return [];
+  }
   
-  // Track response completion for logging
-  res.on('finish', () => {
-    console.log(`[${timestamp}] ${method} ${url} - ${res.statusCode}`);
+  return value.split(',').map(entry => entry.trim()).filter(entry => {
+    if (TRUST_PROXY_RANGES.includes(entry)) {
+      return false;
+    }
+    const [address, range, extra] = entry.split('/');
+    const family = net.isIP(address);
+    if (!family || extra !== undefined) {
+      return true;
+    }
+    if (range === undefined) {
+      return false;
+    }
+    const maxPrefix = family === 4 ? 32 : 128;
+    return /^\d+$/.test(range) ? Number(range) > maxPrefix : net.isIP(range) !== family;
   });
-  
-  next();
-});
+}
 
 /**
- * Shutdown-aware middleware
- * Rejects new requests during graceful shutdown
+ * Validate one configured ROUTE_RATE_LIMITS entry merged over its default
+ * Algorithm and key names match RATE_LIMIT_ALGORITHMS and RATE_LIMIT_KEYS.
+ * 
+ * @param {*} value - Configured entry
+ * @param {Object} [current] - Default entry for the route
+ * @returns {Object} Limiter options for the route
+ * @throws {Error} Description of the problem when the entry is invalid
  */
-app.use((req, res, next) => {
-  if (resources.isShuttingDown) {
-    res.setHeader('Connection', 'close');
-    return res.status(503).json({
-      error: 'Service Unavailable',
-      message: 'Server is shutting down',
-      timestamp: new Date().toISOString()
-    });
+function rateLimitSetting(value, current = {}) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('expected an object of limiter options');
   }
-  next();
-});
+  
+  const options = { algorithm: 'fixedWindow', keyBy: 'ip', ...current, ...value };
+  const isPositive = number => typeof number === 'number' && number > 0 && Number.isFinite(number);
+  const unknown = Object.keys(options).filter(option =>
+    !['algorithm', 'limit', 'windowMs', 'refillPerSecond', 'keyBy'].includes(option));
+  
+  if (unknown.length > 0) {
+    throw new Error(`unknown option ${unknown.join(', ')}`);
+  }
+  if (!['fixedWindow', 'tokenBucket'].includes(options.algorithm)) {
+    throw new Error('algorithm must be fixedWindow or tokenBucket');
+  }
+  if (!['ip', 'user', 'apiKey'].includes(options.keyBy)) {
+    throw new Error('keyBy must be ip, user or apiKey');
+  }
+  if (!Number.isInteger(options.limit) || options.limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+  if (options.algorithm === 'fixedWindow' && !(Number.isInteger(options.windowMs) && options.windowMs > 0)) {
+    throw new Error('windowMs must be a positive integer for fixedWindow');
+  }
+  if (options.algorithm === 'tokenBucket' && !isPositive(options.refillPerSecond)) {
+    throw new Error('refillPerSecond must be a positive number for tokenBucket');
+  }
+  return options;
+}
 
-// =============================================================================
-// INPUT VALIDATION MIDDLEWARE
-// =============================================================================
+/**
+ * Validate one configured ROUTE_TIMEOUTS entry
+ * 
+ * @param {*} value - Configured deadline
+ * @returns {number} Deadline in milliseconds, 0 for none
+ * @throws {Error} Description of the problem when the entry is invalid
+ */
+function routeTimeoutSetting(value) {
+  return coerceConfigValue({ type: 'integer', min: 0 }, value);
+}
 
 /**
- * Validation middleware for user registration
- * Validates username, email, and password fields
+ * Convert a raw setting (env string or config file value) to its declared type
+ * 
+ * @param {Object} spec - Entry from CONFIG_SCHEMA
+ * @param {*} raw - Raw value
+ * @returns {*} Typed value
+ * @throws {Error} Description of the problem when the value is invalid
  */
-const validateUserRegistration = [
-  body('username')
-    .trim()
-    .notEmpty()
-    .withMessage('Username is required')
-    .isLength({ min: 3, max: 50 })
-    .withMessage('Username must be between 3 and 50 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  
-  body('email')
-    .trim()
-    .notEmpty()
-    .withMessage('Email is required')
-    .isEmail()
-    .withMessage('Invalid email format')
-    .normalizeEmail(),
-  
-  body('password')
-    .notEmpty()
-    .withMessage('Password is required')
-    .isLength({ min: 8, max: 128 })
-    .withMessage('Password must be between 8 and 128 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
-];
+function coerceConfigValue(spec, raw) {
+  switch (spec.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : (/^-?\d+$/.test(String(raw).trim()) ? Number(raw) : NaN);
+      const min = spec.min ?? -Infinity;
+      const max = spec.max ?? Infinity;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        const range = spec.max !== undefined ? ` between ${min} and ${max}` : ` of at least ${min}`;
+        throw new Error(`expected an integer${range}`);
+      }
+      return value;
+    }
+    case 'boolean':
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      if (!['true', 'false', '1', '0'].includes(String(raw).trim().toLowerCase())) {
+        throw new Error('expected true or false');
+      }
+      return ['true', '1'].includes(String(raw).trim().toLowerCase());
+    case 'enum':
+      if (!spec.values.includes(raw)) {
+        throw new Error(`expected one of ${spec.values.join(', ')}`);
+      }
+      return raw;
+    case 'size':
+      if (typeof raw === 'number' ? !(Number.isInteger(raw) && raw > 0) : !SIZE_PATTERN.test(String(raw).trim())) {
+        throw new Error('expected a byte count or a size such as 512kb or 1mb');
+      }
+      return typeof raw === 'number' ? raw : String(raw).trim();
+    case 'routes': {
+      let entries = raw;
+      if (typeof raw === 'string') {
+        try {
+          entries = JSON.parse(raw);
+        } catch (error) {
+          throw new Error('expected a JSON object keyed by "METHOD /path"');
+        }
+      }
+      if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error('expected a JSON object keyed by "METHOD /path"');
+      }
+      
+      const routes = { ...spec.default };
+      for (const [route, value] of Object.entries(entries)) {
+        if (!ROUTE_KEY_PATTERN.test(route)) {
+          throw new Error(`"${route}" is not a "METHOD /path" route key`);
+        }
+        try {
+          routes[route] = spec.entry(value, routes[route]);
+        } catch (error) {
+          throw new Error(`${route}: ${error.message}`);
+        }
+      }
+      return routes;
+    }
+    case 'list': {
+      if (!Array.isArray(raw) && typeof raw !== 'string') {
+        throw new Error('expected an array or a comma-separated string');
+      }
+      const entries = (Array.isArray(raw) ? raw : raw.split(','))
+        .map(entry => String(entry).trim())
+        .filter(Boolean);
+      return entries;
+    }
+    default:
+      if (typeof raw !== 'string' || raw.length === 0) {
+        throw new Error('expected a non-empty string');
+      }
+      if (spec.minLength && raw.length < spec.minLength) {
+        throw new Error(`expected at least ${spec.minLength} characters`);
+      }
+      return raw;
+  }
+}
 
 /**
- * Validation middleware for resource ID parameter
- * Ensures ID is a positive integer
+ * Create the error thrown for invalid configuration
+ * @param {string[]} problems - One description per invalid setting
+ * @returns {Error} Error listing every problem
  */
-const validateResourceId = [
-  param('id')
-    .notEmpty()
-    .withMessage('Resource ID is required')
-    .isInt({ min: 1 })
-    .withMessage('Resource ID must be a positive integer')
-    .toInt()
-];
+function createConfigError(problems) {
+  const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+  error.name = 'ConfigError';
+  error.code = 'ECONFIG';
+  error.problems = problems;
+  return error;
+}
 
 /**
- * Validation middleware for pagination query parameters
- * Validates page number and limit with sensible defaults
+ * Describe a raw value for error messages without echoing secrets
+ * @param {Object} spec - Entry from CONFIG_SCHEMA
+ * @param {*} raw - Raw value
+ * @returns {string} Printable value
  */
-const validatePagination = [
-  query('page')
-    .optional()
-    .isInt({ min: 1 })
-    .withMessage('Page must be a positive integer')
-    .toInt(),
-  
-  query('limit')
-    .optional()
-    .isInt({ min: 1, max: 100 })
-    .withMessage('Limit must be between 1 and 100')
-    .toInt()
-];
+const describeConfigValue = (spec, raw) => (spec.sensitive ? '(hidden)' : JSON.stringify(raw));
 
 /**
- * Middleware to handle validation results
- * Returns structured error response if validation fails
+ * Load and validate configuration from defaults, a JSON file and env vars
  * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next middleware function
+ * @param {Object} [options] - Loader options
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.configDir] - Directory holding <NODE_ENV>.json files
+ * @returns {{config: Object, sources: Object}} Effective settings, and where each came from
+ *   ('default', 'file' or 'env')
+ * @throws {Error} ConfigError listing every invalid setting
  */
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
+function loadConfig({ env = process.env, configDir = path.join(__dirname, 'config') } = {}) {
+  const problems = [];
+  const config = {};
+  const sources = {};
   
-  if (!errors.isEmpty()) {
-    const formattedErrors = errors.array().map(error => ({
-      field: error.path || error.param,
-      message: error.msg,
-      value: error.value
-    }));
+  // The environment name decides which file to read, so resolve it first
+  const nodeEnv = env.NODE_ENV || CONFIG_SCHEMA.NODE_ENV.default;
+  const filePath = env.CONFIG_FILE || path.join(configDir, `${nodeEnv}.json`);
+  let fileValues = {};
+  
+  if (env.CONFIG_FILE || fs.existsSync(filePath)) {
+    try {
+      fileValues = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (fileValues === null || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+        throw new Error('expected a JSON object');
+      }
+    } catch (error) {
+      problems.push(`config file ${filePath}: ${error.message}`);
+      fileValues = {};
+    }
+  }
+  
+  for (const key of Object.keys(fileValues)) {
+    if (!CONFIG_SCHEMA[key]) {
+      problems.push(`${key}: unknown setting (config file ${filePath})`);
+    } else if (key === 'NODE_ENV') {
+      problems.push(`${key}: can only be set through the environment (config file ${filePath})`);
+    }
+  }
+  
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const layers = [
+      ['env', env[key], 'env'],
+      ['file', key === 'NODE_ENV' ? undefined : fileValues[key], `config file ${filePath}`]
+    ];
+    const [source, raw, origin] = layers.find(([, value]) => value !== undefined && value !== '') || [];
     
-    return res.status(400).json({
-      success: false,
-      error: 'Validation Error',
-      message: 'One or more fields failed validation',
-      details: formattedErrors,
-      timestamp: new Date().toISOString()
-    });
+    if (source) {
+      try {
+        config[key] = coerceConfigValue(spec, raw);
+        sources[key] = source;
+        continue;
+      } catch (error) {
+        problems.push(`${key}: ${error.message}, got ${describeConfigValue(spec, raw)} (${origin})`);
+      }
+    }
+    
+    config[key] = typeof spec.default === 'function' ? spec.default(config) : spec.default;
+    sources[key] = 'default';
   }
   
-  next();
-};
+  const invalidProxies = invalidTrustProxyEntries(config.TRUST_PROXY);
+  if (invalidProxies.length > 0) {
+    problems.push(`TRUST_PROXY: expected true, false, a hop count or comma-separated addresses/subnets, got ${invalidProxies.map(entry => JSON.stringify(entry)).join(', ')}`);
+  }
+  
+  // Browsers reject a wildcard origin on credentialed requests
+  if (config.CORS_ALLOW_CREDENTIALS && config.CORS_ORIGINS.includes('*')) {
+    problems.push("CORS_ALLOW_CREDENTIALS: cannot be combined with CORS_ORIGINS '*'");
+  }
+  
+  const adminSettings = ['ADMIN_USERNAME', 'ADMIN_EMAIL', 'ADMIN_PASSWORD'];
+  if (adminSettings.some(key => config[key]) && !adminSettings.every(key => config[key])) {
+    problems.push(`${adminSettings.join(', ')}: must be set together`);
+  }
+  
+  if (config.REQUEST_TIMEOUT_MS > 0 && config.HEADERS_TIMEOUT_MS > config.REQUEST_TIMEOUT_MS) {
+    problems.push('HEADERS_TIMEOUT_MS: must not exceed REQUEST_TIMEOUT_MS');
+  }
+  
+  if (config.DIAGNOSTICS_HEAP_SNAPSHOT && !config.DIAGNOSTICS_ENABLED) {
+    problems.push('DIAGNOSTICS_HEAP_SNAPSHOT: requires DIAGNOSTICS_ENABLED');
+  }
+  
+  if (Boolean(config.TLS_CERT_FILE) !== Boolean(config.TLS_KEY_FILE)) {
+    problems.push('TLS_CERT_FILE, TLS_KEY_FILE: must be set together');
+  }
+  if (config.TLS_CLIENT_CERT !== 'off' && !config.TLS_CA_FILE) {
+    problems.push(`TLS_CLIENT_CERT: '${config.TLS_CLIENT_CERT}' requires TLS_CA_FILE`);
+  }
+  for (const key of ['HTTP2_ENABLED', 'HTTP_REDIRECT_PORT']) {
+    if (config[key] && !config.TLS_CERT_FILE) {
+      problems.push(`${key}: requires TLS_CERT_FILE and TLS_KEY_FILE`);
+    }
+  }
+  if (config.HTTP_REDIRECT_PORT && config.HTTP_REDIRECT_PORT === config.PORT) {
+    problems.push('HTTP_REDIRECT_PORT: must differ from PORT');
+  }
+  
+  // Each worker would rewrite the data file from its own copy of the records
+  if (config.CLUSTER_WORKERS > 0 && config.STORE_DRIVER === 'file') {
+    problems.push("CLUSTER_WORKERS: cannot be combined with STORE_DRIVER 'file'");
+  }
+  
+  if (problems.length > 0) {
+    throw createConfigError(problems);
+  }
+  return { config, sources };
+}
+
+/**
+ * Load the configuration, exiting with every problem listed when it is
+ * invalid and this file is being run directly
+ * @returns {{config: Object, sources: Object}} Result of loadConfig
+ */
+function loadConfigOrExit() {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (error.code !== 'ECONFIG' || require.main !== module) {
+      throw error;
+    }
+    // The logger is configured from these settings, so report directly
+    console.error(`[FATAL] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const { config: CONFIG, sources: CONFIG_SOURCES } = loadConfigOrExit();
 
 // =============================================================================
-// API ROUTES WITH VALIDATION
+// STRUCTURED LOGGING
 // =============================================================================
 
+/** Numeric severity of each log level */
+const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+/** Per-request context (request id) shared with every log line of the request */
+const requestContext = new AsyncLocalStorage();
+
+/** Placeholder written in place of redacted values */
+const REDACTED = '[REDACTED]';
+
+/** Key fragments that always mark a field as sensitive (case-insensitive) */
+const SENSITIVE_KEY_FRAGMENTS = ['password', 'token', 'authorization', 'cookie', 'secret'];
+
 /**
- * Health check endpoint
- * Used by orchestrators (Kubernetes, Docker) for liveness probes
+ * Check whether a key name is sensitive by itself
+ * Matches built-in fragments (so 'passwordHash' and 'refreshToken' are caught)
+ * and bare names from CONFIG.LOG_REDACT_PATHS.
  * 
- * @route GET /health
- * @returns {Object} Health status with uptime and timestamp
+ * @param {string} key - Property name
+ * @returns {boolean} True if values under this key must not be exposed
  */
-app.get('/health', (req, res) => {
-  const healthData = {
-    status: resources.isShuttingDown ? 'shutting_down' : 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: CONFIG.NODE_ENV,
-    memoryUsage: {
-      heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
-      heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
-    }
-  };
-  
+function isSensitiveKey(key) {
+  const name = String(key).toLowerCase();
+  return SENSITIVE_KEY_FRAGMENTS.some(fragment => name.includes(fragment)) ||
+    CONFIG.LOG_REDACT_PATHS.some(entry => !entry.includes('.') && entry.toLowerCase() === name);
+}
+
+/**
+ * Check whether a full property path matches a configured dotted redact path
+ * @param {string[]} pathSegments - Keys from the root of the redacted value
+ * @returns {boolean} True if a configured path matches exactly
+ */
+function matchesRedactPath(pathSegments) {
+  return CONFIG.LOG_REDACT_PATHS.some(entry => {
+    const pattern = entry.split('.');
+    return pattern.length > 1 &&
+      pattern.length === pathSegments.length &&
+      pattern.every((segment, index) => segment === '*' || segment === pathSegments[index]);
+  });
+}
+
+/**
+ * Return a copy of a value with sensitive fields replaced by '[REDACTED]'
+ * Plain objects and arrays are copied recursively; Errors and other
+ * instances are left for the serializer.
+ * 
+ * @param {*} value - Value to redact
+ * @param {string[]} [pathSegments] - Path of `value` from the root
+ * @param {WeakSet} [ancestors] - Objects on the path from the root (guards
+ *   against cycles; an object shared by two branches is copied in both)
+ * @returns {*} Redacted copy
+ */
+function redactSensitive(value, pathSegments = [], ancestors = new WeakSet()) {
+  if (value === null || typeof value !== 'object' || value instanceof Error || value instanceof Date) {
+    return value;
+  }
+  if (ancestors.has(value)) {
+    return '[Circular]';
+  }
+  ancestors.add(value);
+  
+  let copy;
+  if (Array.isArray(value)) {
+    copy = value.map((item, index) => redactSensitive(item, [...pathSegments, String(index)], ancestors));
+  } else {
+    copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = [...pathSegments, key];
+      copy[key] = isSensitiveKey(key) || matchesRedactPath(childPath)
+        ? REDACTED
+        : redactSensitive(child, childPath, ancestors);
+    }
+  }
+  
+  ancestors.delete(value);
+  return copy;
+}
+
+/**
+ * JSON.stringify replacer that expands Error objects
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Serializable value
+ */
+const serializeLogValue = (key, value) => {
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack, code: value.code };
+  }
+  return value;
+};
+
+/**
+ * Write one log entry if its level is enabled
+ * JSON mode emits one object per line; pretty mode emits a readable line
+ * followed by the extra fields. Errors go to stderr, everything else to stdout.
+ * 
+ * @param {string} level - Log level
+ * @param {string} component - Subsystem that produced the entry (e.g. 'http', 'shutdown')
+ * @param {string} message - Log message
+ * @param {Object} [fields] - Additional structured fields
+ */
+function writeLog(level, component, message, fields = {}) {
+  const threshold = LOG_LEVELS[CONFIG.LOG_LEVEL] || LOG_LEVELS.info;
+  if (LOG_LEVELS[level] < threshold) {
+    return;
+  }
+  
+  const context = requestContext.getStore();
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    component,
+    message,
+    ...(context && { requestId: context.requestId }),
+    ...(cluster.isWorker && { worker: cluster.worker.id }),
+    ...redactSensitive(fields)
+  };
+  
+  let line;
+  if (CONFIG.LOG_FORMAT === 'pretty') {
+    const { timestamp, requestId, ...rest } = entry;
+    delete rest.level;
+    delete rest.component;
+    delete rest.message;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest, serializeLogValue)}` : '';
+    line = `${timestamp} ${level.toUpperCase().padEnd(5)} [${component}]${requestId ? ` (${requestId})` : ''} ${message}${extra}`;
+  } else {
+    line = JSON.stringify(entry, serializeLogValue);
+  }
+  
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * Create a logger bound to a component name
+ * 
+ * @param {string} component - Subsystem name included in every entry
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ *   Level methods taking (message, fields)
+ */
+function createLogger(component) {
+  return {
+    debug: (message, fields) => writeLog('debug', component, message, fields),
+    info: (message, fields) => writeLog('info', component, message, fields),
+    warn: (message, fields) => writeLog('warn', component, message, fields),
+    error: (message, fields) => writeLog('error', component, message, fields)
+  };
+}
+
+/** Loggers for each subsystem */
+const log = {
+  http: createLogger('http'),
+  user: createLogger('user'),
+  auth: createLogger('auth'),
+  resource: createLogger('resource'),
+  contract: createLogger('contract'),
+  server: createLogger('server'),
+  shutdown: createLogger('shutdown'),
+  lifecycle: createLogger('lifecycle'),
+  cluster: createLogger('cluster'),
+  process: createLogger('process')
+};
+
+// =============================================================================
+// DATA STORE MODULE
+// =============================================================================
+
+/**
+ * Build the error raised when a record violates a unique field constraint.
+ * The `details` array mirrors the format produced by handleValidationErrors.
+ * 
+ * @param {Array<{field: string, value: *}>} conflicts - Conflicting fields
+ * @returns {Error} Operational error with statusCode 409
+ */
+function createConflictError(conflicts) {
+  const error = new Error('One or more fields conflict with an existing record');
+  error.name = 'Conflict';
+  error.code = 'ECONFLICT';
+  error.statusCode = 409;
+  error.isOperational = true;
+  error.details = conflicts.map(({ field, value }) => ({
+    field,
+    message: `${field.charAt(0).toUpperCase()}${field.slice(1)} is already in use`,
+    value
+  }));
+  return error;
+}
+
+/**
+ * Build the error raised when a conditional write finds a different record version
+ * 
+ * @returns {Error} Operational error with statusCode 412
+ */
+function createPreconditionError() {
+  const error = new Error('Record has been modified; fetch the latest version and retry');
+  error.name = 'Precondition Failed';
+  error.code = 'EPRECONDITION';
+  error.statusCode = 412;
+  error.isOperational = true;
+  return error;
+}
+
+/**
+ * Normalize a value for unique-field comparison (strings compare case-insensitively)
+ * @param {*} value - Raw field value
+ * @returns {*} Comparable value
+ */
+function uniqueKey(value) {
+  return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+/**
+ * Create an in-memory record store
+ * Records receive monotonic integer ids that are never reused, and fields
+ * listed in `options.unique` are checked on insert and update. Versioned
+ * stores keep a `version` counter that starts at 1 and increases on every
+ * update, for optimistic concurrency control. Each store has a random
+ * instance id, kept in snapshots, that tells its ids apart from those of
+ * another store holding the same collection.
+ * 
+ * @param {Object} [options] - Store options
+ * @param {string[]} [options.unique] - Field names that must be unique
+ * @param {boolean} [options.versioned] - Maintain a `version` field on records
+ * @returns {Object} Store with async insert/findById/findOne/list/update/remove/ping/close
+ */
+function createMemoryStore(options = {}) {
+  const uniqueFields = options.unique || [];
+  const versioned = options.versioned || false;
+  const records = new Map();
+  let nextId = 1;
+  let instanceId = crypto.randomUUID();
+  
+  const findConflicts = (candidate, ignoreId) => {
+    const conflicts = [];
+    for (const field of uniqueFields) {
+      if (candidate[field] === undefined) continue;
+      const key = uniqueKey(candidate[field]);
+      for (const record of records.values()) {
+        if (record.id !== ignoreId && uniqueKey(record[field]) === key) {
+          conflicts.push({ field, value: candidate[field] });
+          break;
+        }
+      }
+    }
+    return conflicts;
+  };
+  
+  const insertRecord = (data) => {
+    const conflicts = findConflicts(data);
+    if (conflicts.length > 0) {
+      throw createConflictError(conflicts);
+    }
+    const record = { ...data, id: nextId++ };
+    if (versioned) {
+      record.version = 1;
+    }
+    records.set(record.id, record);
+    return { ...record };
+  };
+  
+  return {
+    driver: 'memory',
+    
+    /**
+     * Insert a new record and assign it the next id
+     * @param {Object} data - Record fields (any `id` is ignored)
+     * @returns {Promise<Object>} Copy of the stored record
+     */
+    insert: async function(data) {
+      return insertRecord(data);
+    },
+    
+    /**
+     * Insert several records as one change: if any insert fails, none is kept
+     * @param {Object[]} items - Record fields (any `id` is ignored)
+     * @returns {Promise<Object[]>} Copies of the stored records, in order
+     */
+    insertMany: async function(items) {
+      const savedRecords = new Map(records);
+      const savedNextId = nextId;
+      try {
+        return items.map(insertRecord);
+      } catch (error) {
+        records.clear();
+        savedRecords.forEach((record, id) => records.set(id, record));
+        nextId = savedNextId;
+        throw error;
+      }
+    },
+    
+    /**
+     * Find a record by id
+     * @param {number} id - Record id
+     * @returns {Promise<Object|null>} Copy of the record or null
+     */
+    findById: async function(id) {
+      const record = records.get(id);
+      return record ? { ...record } : null;
+    },
+    
+    /**
+     * Find the first record whose field matches the value
+     * @param {string} field - Field name
+     * @param {*} value - Value to match (strings compare case-insensitively)
+     * @returns {Promise<Object|null>} Copy of the record or null
+     */
+    findOne: async function(field, value) {
+      const key = uniqueKey(value);
+      for (const record of records.values()) {
+        if (uniqueKey(record[field]) === key) {
+          return { ...record };
+        }
+      }
+      return null;
+    },
+    
+    /**
+     * List records in id order
+     * @param {Object} [range] - Slice of the result set
+     * @param {number} [range.offset=0] - Number of records to skip
+     * @param {number} [range.limit] - Maximum number of records to return
+     * @returns {Promise<{items: Object[], total: number}>} Records and total count
+     */
+    list: async function({ offset = 0, limit } = {}) {
+      const all = Array.from(records.values());
+      const end = limit === undefined ? undefined : offset + limit;
+      return {
+        items: all.slice(offset, end).map(record => ({ ...record })),
+        total: all.length
+      };
+    },
+    
+    /**
+     * Merge changes into an existing record
+     * @param {number} id - Record id
+     * @param {Object} changes - Fields to overwrite (any `id` or `version` is ignored)
+     * @param {Function} [precondition] - Called with the current record; the
+     *   update is rejected with a 412 error unless it returns true
+     * @returns {Promise<Object|null>} Copy of the updated record or null if missing
+     */
+    update: async function(id, changes, precondition) {
+      const existing = records.get(id);
+      if (!existing) return null;
+      if (precondition && !precondition({ ...existing })) {
+        throw createPreconditionError();
+      }
+      const conflicts = findConflicts(changes, id);
+      if (conflicts.length > 0) {
+        throw createConflictError(conflicts);
+      }
+      const record = { ...existing, ...changes, id };
+      if (versioned) {
+        record.version = (existing.version || 0) + 1;
+      }
+      records.set(id, record);
+      return { ...record };
+    },
+    
+    /**
+     * Remove a record
+     * @param {number} id - Record id
+     * @param {Function} [precondition] - Same as for update
+     * @returns {Promise<boolean>} True if a record was removed
+     */
+    remove: async function(id, precondition) {
+      const existing = records.get(id);
+      if (existing && precondition && !precondition({ ...existing })) {
+        throw createPreconditionError();
+      }
+      return records.delete(id);
+    },
+    
+    /**
+     * Get the id that distinguishes this store from other stores
+     * @returns {string} Instance id
+     */
+    instanceId: function() {
+      return instanceId;
+    },
+    
+    /**
+     * Export the store contents for persistence
+     * @returns {{instanceId: string, nextId: number, records: Object[]}} Serializable snapshot
+     */
+    snapshot: function() {
+      return { instanceId, nextId, records: Array.from(records.values()) };
+    },
+    
+    /**
+     * Replace the store contents from a snapshot
+     * @param {{instanceId: string, nextId: number, records: Object[]}} data - Snapshot to load
+     */
+    load: function(data) {
+      instanceId = data.instanceId || instanceId;
+      records.clear();
+      for (const record of data.records || []) {
+        records.set(record.id, record);
+      }
+      const highestId = Math.max(0, ...records.keys());
+      nextId = Math.max(data.nextId || 1, highestId + 1);
+    },
+    
+    /**
+     * Check that the store can serve requests (always true for memory)
+     * @returns {Promise<void>}
+     */
+    ping: async function() {},
+    
+    /**
+     * Release store resources (no-op for memory)
+     * @returns {Promise<void>}
+     */
+    close: async function() {}
+  };
+}
+
+/**
+ * Create a file-backed record store
+ * Keeps the working set in memory and rewrites a JSON file after every
+ * mutation. Writes are serialized and atomic (temp file + rename), so the
+ * file always holds a complete snapshot, including the id counter.
+ * 
+ * @param {string} filePath - Location of the JSON data file
+ * @param {Object} [options] - Same options as createMemoryStore
+ * @returns {Object} Store with the createMemoryStore interface
+ */
+function createFileStore(filePath, options = {}) {
+  const store = createMemoryStore(options);
+  
+  // Create the data directory up front so a fresh DATA_DIR is ready at once
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  if (fs.existsSync(filePath)) {
+    store.load(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+  
+  let pendingWrite = Promise.resolve();
+  let closed = false;
+  
+  const persist = async () => {
+    const contents = JSON.stringify(store.snapshot(), null, 2);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, contents);
+    await fs.promises.rename(tempPath, filePath);
+  };
+  
+  // Mutations run one at a time; if the write fails the in-memory change is
+  // rolled back, so memory never holds data the file does not
+  const mutating = (method) => function(...args) {
+    if (closed) {
+      return Promise.reject(new Error(`Store ${filePath} is closed`));
+    }
+    const run = pendingWrite.then(async () => {
+      const before = store.snapshot();
+      const result = await method.apply(store, args);
+      try {
+        await persist();
+      } catch (error) {
+        store.load(before);
+        throw error;
+      }
+      return result;
+    });
+    pendingWrite = run.catch(() => {});
+    return run;
+  };
+  
+  return {
+    ...store,
+    driver: 'file',
+    filePath,
+    insert: mutating(store.insert),
+    insertMany: mutating(store.insertMany),
+    update: mutating(store.update),
+    remove: mutating(store.remove),
+    
+    /**
+     * Check that the store is open and its data directory is writable
+     * @returns {Promise<void>}
+     */
+    ping: async function() {
+      if (closed) {
+        throw new Error(`Store ${filePath} is closed`);
+      }
+      await fs.promises.access(path.dirname(filePath), fs.constants.W_OK);
+    },
+    
+    /**
+     * Wait for pending writes and reject further mutations
+     * @returns {Promise<void>}
+     */
+    close: async function() {
+      closed = true;
+      await pendingWrite;
+    }
+  };
+}
+
+/**
+ * Create a store for the configured driver
+ * 
+ * @param {string} name - Collection name (used as the data file name)
+ * @param {Object} [options] - Store options passed to the driver
+ * @returns {Object} Store instance
+ */
+function createStore(name, options = {}) {
+  switch (CONFIG.STORE_DRIVER) {
+    case 'memory':
+      return createMemoryStore(options);
+    case 'file':
+      return createFileStore(path.join(CONFIG.DATA_DIR, `${name}.json`), options);
+    default:
+      throw new Error(`Unknown STORE_DRIVER "${CONFIG.STORE_DRIVER}"`);
+  }
+}
+
+/** Persistent user collection; usernames and emails must be unique */
+const userStore = createStore('users', { unique: ['username', 'email'] });
+
+/** Persistent resource collection; records carry a version for ETag checks */
+const resourceStore = createStore('resources', { versioned: true });
+
+// =============================================================================
+// USER ROLES
+// =============================================================================
+
+/** Roles a user may hold, from most to least privileged */
+const ROLES = ['admin', 'editor', 'viewer'];
+
+/** Role assigned to newly registered users */
+const DEFAULT_ROLE = 'viewer';
+
+/**
+ * Roles allowed to call each protected route, keyed by "METHOD /route/path"
+ * Routes enforce this table through the authorize middleware, and
+ * /api/docs reports it. Routes not listed here are public.
+ */
+const ROUTE_ROLES = {
+  'GET /api/users': ['admin'],
+  'GET /api/users/:id': ROLES,
+  'PATCH /api/users/:id': ROLES,
+  'DELETE /api/users/:id': ['admin'],
+  'POST /api/auth/logout': ROLES,
+  'GET /api/resources/:id': ROLES,
+  'POST /api/resources': ['admin', 'editor'],
+  'PUT /api/resources/:id': ['admin', 'editor'],
+  'PATCH /api/resources/:id': ['admin', 'editor'],
+  'DELETE /api/resources/:id': ['admin', 'editor'],
+  'POST /api/resources/import': ['admin', 'editor'],
+  'GET /api/admin/config': ['admin']
+};
+
+// =============================================================================
+// PASSWORD HASHING AND CREDENTIAL VERIFICATION
+// =============================================================================
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * scrypt parameters for password hashing
+ * Stored alongside each hash so they can be raised without breaking old hashes
+ */
+const PASSWORD_HASH = {
+  N: 16384,
+  r: 8,
+  p: 1,
+  keyLength: 64,
+  saltBytes: 16
+};
+
+/**
+ * Hash a password with scrypt and a random per-user salt
+ * 
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash: scrypt$N$r$p$salt$hash (base64 parts)
+ */
+async function hashPassword(password) {
+  const { N, r, p, keyLength, saltBytes } = PASSWORD_HASH;
+  const salt = crypto.randomBytes(saltBytes);
+  const derived = await scrypt(password, salt, keyLength, { N, r, p });
+  return ['scrypt', N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against an encoded hash in constant time
+ * 
+ * @param {string} password - Plain-text password to check
+ * @param {string} encoded - Hash produced by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, encoded) {
+  const parts = typeof encoded === 'string' ? encoded.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+  
+  const [, N, r, p, salt, hash] = parts;
+  const expected = Buffer.from(hash, 'base64');
+  const derived = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(derived, expected);
+}
+
+/** Hash checked for unknown users so lookups take the same time as real ones */
+let dummyPasswordHash = null;
+
+/**
+ * Remove credential fields from a stored user before it leaves the server
+ * 
+ * @param {Object} user - Stored user record
+ * @returns {Object} User without passwordHash (role defaults for older records)
+ */
+function toPublicUser(user) {
+  const { passwordHash, ...publicUser } = user;
+  return { ...publicUser, role: publicUser.role || DEFAULT_ROLE };
+}
+
+/**
+ * Verify a username (or email) and password pair
+ * Used by the login endpoint to authenticate users
+ * 
+ * @param {string} identifier - Username or email address
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} Public user data if the credentials match, otherwise null
+ */
+async function verifyUserCredentials(identifier, password) {
+  const user = await findUserByCredentials(identifier, password);
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * Look up the stored user matching a username (or email) and password pair
+ * 
+ * @param {string} identifier - Username or email address
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} Stored user record if the credentials match, otherwise null
+ */
+async function findUserByCredentials(identifier, password) {
+  const field = String(identifier).includes('@') ? 'email' : 'username';
+  const user = await userStore.findOne(field, identifier);
+  
+  if (!user || !user.passwordHash) {
+    dummyPasswordHash = dummyPasswordHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    await verifyPassword(password, dummyPasswordHash);
+    return null;
+  }
+  
+  return (await verifyPassword(password, user.passwordHash)) ? user : null;
+}
+
+/**
+ * Create the admin account configured by ADMIN_USERNAME, ADMIN_EMAIL and
+ * ADMIN_PASSWORD unless it already exists. An existing account with that
+ * name is never promoted: it may have been registered by anyone.
+ * 
+ * @returns {Promise<Object|null>} Public data of the admin account, or null
+ *   when no admin is configured or the name belongs to a non-admin
+ */
+async function seedAdminUser() {
+  if (!CONFIG.ADMIN_USERNAME) {
+    return null;
+  }
+  
+  const existing = await userStore.findOne('username', CONFIG.ADMIN_USERNAME);
+  if (existing) {
+    if (existing.role !== 'admin') {
+      log.auth.error('Configured admin username belongs to a non-admin account; not promoting it', {
+        username: existing.username
+      });
+      return null;
+    }
+    return toPublicUser(existing);
+  }
+  
+  const now = new Date().toISOString();
+  const admin = toPublicUser(await userStore.insert({
+    username: CONFIG.ADMIN_USERNAME,
+    email: CONFIG.ADMIN_EMAIL,
+    passwordHash: await hashPassword(CONFIG.ADMIN_PASSWORD),
+    role: 'admin',
+    createdAt: now,
+    updatedAt: now
+  }));
+  log.auth.info('Admin account created', { userId: admin.id, username: admin.username });
+  return admin;
+}
+
+// =============================================================================
+// AUTHENTICATION TOKENS
+// =============================================================================
+
+/** Revoked token ids mapped to their expiry (seconds since epoch) */
+const revokedTokens = new Map();
+
+/** IPC message type that shares a revocation between cluster workers */
+const TOKEN_REVOKED_MESSAGE = 'tokenRevoked';
+
+/**
+ * Current time in whole seconds, as used by token iat/exp claims
+ * @returns {number} Seconds since epoch
+ */
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Compute the HMAC-SHA256 signature for a token's header and payload
+ * @param {string} unsigned - base64url(header) + '.' + base64url(payload)
+ * @returns {string} base64url signature
+ */
+function signTokenData(unsigned) {
+  return crypto.createHmac('sha256', CONFIG.AUTH_TOKEN_SECRET).update(unsigned).digest('base64url');
+}
+
+/**
+ * Create a signed JWT-style token (HS256)
+ * 
+ * @param {Object} claims - Token claims (sub, type, ...)
+ * @param {number} ttlSeconds - Lifetime in seconds
+ * @returns {string} Signed token
+ */
+function signToken(claims, ttlSeconds) {
+  const issuedAt = nowInSeconds();
+  const header = { alg: 'HS256', typ: 'JWT' };
+  const payload = {
+    ...claims,
+    jti: crypto.randomUUID(),
+    iat: issuedAt,
+    exp: issuedAt + ttlSeconds
+  };
+  const unsigned = [header, payload]
+    .map(part => Buffer.from(JSON.stringify(part)).toString('base64url'))
+    .join('.');
+  return `${unsigned}.${signTokenData(unsigned)}`;
+}
+
+/**
+ * Verify a token's signature, type, expiry, revocation status and issuer
+ * Tokens name the user store that issued them (the `store` claim). Cluster
+ * workers share the token secret but each keep their own user store, where
+ * the same `sub` can belong to someone else, so a token from another store
+ * is rejected.
+ * 
+ * @param {string} token - Token to verify
+ * @param {string} expectedType - Required `type` claim ('access' or 'refresh')
+ * @param {Object} [store] - User store the token must come from, defaults to userStore
+ * @returns {Object} Decoded payload
+ * @throws {Error} With a client-safe message when the token is not acceptable
+ */
+function verifyToken(token, expectedType, store = userStore) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new Error('Malformed token');
+  }
+  
+  const [encodedHeader, encodedPayload, signature] = parts;
+  const expected = Buffer.from(signTokenData(`${encodedHeader}.${encodedPayload}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new Error('Invalid token signature');
+  }
+  
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString('utf8'));
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed token');
+  }
+  
+  if (header.alg !== 'HS256' || payload.type !== expectedType) {
+    throw new Error(`Expected a valid ${expectedType} token`);
+  }
+  if (typeof payload.exp !== 'number' || payload.exp <= nowInSeconds()) {
+    throw new Error('Token has expired');
+  }
+  if (revokedTokens.has(payload.jti)) {
+    throw new Error('Token has been revoked');
+  }
+  if (payload.store !== store.instanceId()) {
+    throw new Error('Token was issued by another server instance');
+  }
+  
+  return payload;
+}
+
+/**
+ * Record a revoked token id until its expiry
+ * Expired entries are pruned on each call so the map stays small
+ * 
+ * @param {string} jti - Token id
+ * @param {number} exp - Token expiry (seconds since epoch)
+ */
+function rememberRevokedToken(jti, exp) {
+  const now = nowInSeconds();
+  for (const [revokedJti, revokedExp] of revokedTokens) {
+    if (revokedExp <= now) {
+      revokedTokens.delete(revokedJti);
+    }
+  }
+  revokedTokens.set(jti, exp);
+}
+
+/**
+ * Revoke a token until it would have expired anyway
+ * In a cluster worker the revocation is also sent to the primary, which
+ * shares it with the other workers
+ * 
+ * @param {Object} payload - Decoded token payload
+ */
+function revokeToken(payload) {
+  rememberRevokedToken(payload.jti, payload.exp);
+  if (cluster.isWorker && process.connected) {
+    process.send({ type: TOKEN_REVOKED_MESSAGE, jti: payload.jti, exp: payload.exp });
+  }
+}
+
+/**
+ * Derive a stamp of a user's current password for refresh tokens
+ * Changing the password changes the stamp, which invalidates every refresh
+ * token issued before the change without keeping a list of them
+ * 
+ * @param {Object} user - Stored user record
+ * @returns {string} base64url stamp (reveals nothing about the hash)
+ */
+function credentialStamp(user) {
+  return crypto.createHmac('sha256', CONFIG.AUTH_TOKEN_SECRET)
+    .update(`credentials:${user.passwordHash || ''}`)
+    .digest('base64url')
+    .slice(0, 16);
+}
+
+/**
+ * Issue a fresh access/refresh token pair for a user
+ * 
+ * @param {Object} user - Stored user record
+ * @returns {Object} Token pair with type and access token lifetime
+ */
+function issueTokens(user) {
+  const store = userStore.instanceId();
+  const refreshClaims = { sub: user.id, store, type: 'refresh', stamp: credentialStamp(user) };
+  return {
+    tokenType: 'Bearer',
+    accessToken: signToken({ sub: user.id, store, type: 'access' }, CONFIG.ACCESS_TOKEN_TTL_S),
+    refreshToken: signToken(refreshClaims, CONFIG.REFRESH_TOKEN_TTL_S),
+    expiresIn: CONFIG.ACCESS_TOKEN_TTL_S
+  };
+}
+
+// =============================================================================
+// LIFECYCLE HOOKS
+// =============================================================================
+
+/** Phases that accept hooks */
+const LIFECYCLE_PHASES = ['startup', 'shutdown'];
+
+/** Default hook priority; lower priorities run first */
+const DEFAULT_HOOK_PRIORITY = 100;
+
+/** Registered hooks by phase */
+const lifecycleHooks = {
+  startup: [],
+  shutdown: []
+};
+
+/**
+ * Run a function, rejecting if it does not settle in time
+ * The rejection carries code 'ETIMEDOUT' so callers can tell timeouts apart.
+ * 
+ * @param {Function} fn - Function to run (may return a promise)
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @param {string} description - What timed out, used in the error message
+ * @returns {Promise<*>} The function's result
+ */
+async function runWithTimeout(fn, timeoutMs, description) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${description} timed out after ${timeoutMs}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+    timer.unref();
+  });
+  
+  try {
+    return await Promise.race([Promise.resolve().then(fn), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Register a named startup or shutdown hook
+ * Hooks run one at a time in ascending priority (registration order breaks
+ * ties). Registering an existing name in the same phase replaces it.
+ * 
+ * @param {string} phase - 'startup' or 'shutdown'
+ * @param {string} name - Hook name used in logs and results
+ * @param {Function} fn - Async function to run
+ * @param {Object} [options] - Hook options
+ * @param {number} [options.priority] - Order key, defaults to 100
+ * @param {number} [options.timeoutMs] - Time limit, defaults to CONFIG.LIFECYCLE_HOOK_TIMEOUT_MS
+ * @returns {Function} Removes this hook again
+ */
+function registerLifecycleHook(phase, name, fn, options = {}) {
+  if (!LIFECYCLE_PHASES.includes(phase)) {
+    throw new Error(`Unknown lifecycle phase "${phase}"`);
+  }
+  
+  const hooks = lifecycleHooks[phase];
+  const hook = {
+    name,
+    fn,
+    priority: options.priority ?? DEFAULT_HOOK_PRIORITY,
+    timeoutMs: options.timeoutMs || CONFIG.LIFECYCLE_HOOK_TIMEOUT_MS
+  };
+  
+  const existing = hooks.findIndex(entry => entry.name === name);
+  if (existing !== -1) {
+    hooks.splice(existing, 1);
+  }
+  hooks.push(hook);
+  
+  return () => {
+    const index = hooks.indexOf(hook);
+    if (index !== -1) {
+      hooks.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Run the hooks of a phase in priority order
+ * Shutdown runs every hook even when some fail; startup stops at the first
+ * failure because later hooks may depend on earlier ones.
+ * 
+ * @param {string} phase - 'startup' or 'shutdown'
+ * @returns {Promise<Array<{name: string, status: string, durationMs: number, error?: string}>>}
+ *   One result per hook run, with status 'ok', 'failed' or 'timed_out'
+ */
+async function runLifecycleHooks(phase) {
+  const ordered = [...lifecycleHooks[phase]].sort((a, b) => a.priority - b.priority);
+  const results = [];
+  
+  for (const hook of ordered) {
+    const startedAt = Date.now();
+    try {
+      await runWithTimeout(hook.fn, hook.timeoutMs, `${phase} hook "${hook.name}"`);
+      results.push({ name: hook.name, status: 'ok', durationMs: Date.now() - startedAt });
+      log.lifecycle.debug('Hook completed', { phase, hook: hook.name });
+    } catch (error) {
+      const status = error.code === 'ETIMEDOUT' ? 'timed_out' : 'failed';
+      results.push({ name: hook.name, status, durationMs: Date.now() - startedAt, error: error.message });
+      log.lifecycle.error('Hook did not complete', { phase, hook: hook.name, status, error });
+      
+      if (phase === 'startup') {
+        break;
+      }
+    }
+  }
+  
+  return results;
+}
+
+registerLifecycleHook('startup', 'adminUser', seedAdminUser);
+registerLifecycleHook('shutdown', 'userStore', () => userStore.close());
+registerLifecycleHook('shutdown', 'resourceStore', () => resourceStore.close());
+
+// =============================================================================
+// RESOURCE TRACKING MODULE
+// =============================================================================
+
+/**
+ * Resource tracking object for managing server connections, timers,
+ * and shutdown state. Exported for testing purposes.
+ * 
+ * @property {Set} connections - Active socket connections
+ * @property {Map} activeRequests - In-flight request count per socket
+ * @property {Set} timers - Active timer references
+ * @property {boolean} isShuttingDown - Flag indicating shutdown in progress
+ * @property {boolean} isClosing - Flag indicating new requests are being refused
+ * @property {Function} cleanup - Cleanup function for additional resources
+ */
+const resources = {
+  /** Set of active socket connections for graceful shutdown */
+  connections: new Set(),
+  
+  /** Set of open HTTP/2 sessions (their sockets are also in connections) */
+  sessions: new Set(),
+  
+  /** Number of in-flight requests on each socket (idle sockets are absent) */
+  activeRequests: new Map(),
+  
+  /** Set of active timers for cleanup during shutdown */
+  timers: new Set(),
+  
+  /** Flag to indicate if graceful shutdown is in progress (readiness fails) */
+  isShuttingDown: false,
+  
+  /** Flag set once the drain delay is over and new requests are refused */
+  isClosing: false,
+  
+  /** Flag set once the server is listening (reported by the startup probe) */
+  hasStarted: false,
+  
+  /**
+   * Add a tracked timer
+   * @param {NodeJS.Timeout} timer - Timer reference to track
+   * @returns {NodeJS.Timeout} The tracked timer
+   */
+  addTimer: function(timer) {
+    this.timers.add(timer);
+    return timer;
+  },
+  
+  /**
+   * Remove a tracked timer
+   * @param {NodeJS.Timeout} timer - Timer reference to remove
+   */
+  removeTimer: function(timer) {
+    this.timers.delete(timer);
+  },
+  
+  /**
+   * Close keep-alive sockets that have no request in flight
+   * HTTP/2 sessions are sent a GOAWAY instead, and close themselves once
+   * their open streams finish.
+   * 
+   * @returns {number} Number of sockets and sessions closed
+   */
+  closeIdleConnections: function() {
+    let closed = 0;
+    for (const session of this.sessions) {
+      session.close();
+      closed++;
+    }
+    for (const socket of this.connections) {
+      if (socket.alpnProtocol !== 'h2' && !this.activeRequests.has(socket)) {
+        socket.destroy();
+        closed++;
+      }
+    }
+    return closed;
+  },
+  
+  /**
+   * Clear all tracked timers
+   */
+  clearAllTimers: function() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+      clearInterval(timer);
+    }
+    this.timers.clear();
+  },
+  
+  /**
+   * Release additional resources (database connections, etc.) by running
+   * the registered shutdown hooks; use registerLifecycleHook to add cleanup
+   * @returns {Promise<Object[]>} Per-hook results from runLifecycleHooks
+   */
+  cleanup: async function() {
+    const results = await runLifecycleHooks('shutdown');
+    if (results.every(result => result.status === 'ok')) {
+      log.shutdown.info('All resources cleaned up', { hooks: results.length });
+    }
+    return results;
+  }
+};
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+/** Upper bounds (seconds) of the request latency histogram buckets */
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/** Event loop delay sampler (reset after each scrape, like prom-client) */
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+/**
+ * Request metrics keyed by label set
+ * Each entry holds the labels, request count, latency sum and per-bucket counts.
+ */
+const requestMetrics = new Map();
+
+/**
+ * Record a completed request
+ * @param {{method: string, route: string, status: string}} labels - Metric labels
+ * @param {number} durationSeconds - Time from request start to response finish
+ */
+function recordRequestMetric(labels, durationSeconds) {
+  const key = `${labels.method} ${labels.route} ${labels.status}`;
+  let entry = requestMetrics.get(key);
+  if (!entry) {
+    entry = { labels, count: 0, sum: 0, buckets: HTTP_DURATION_BUCKETS.map(() => 0) };
+    requestMetrics.set(key, entry);
+  }
+  
+  entry.count++;
+  entry.sum += durationSeconds;
+  HTTP_DURATION_BUCKETS.forEach((bound, index) => {
+    if (durationSeconds <= bound) entry.buckets[index]++;
+  });
+}
+
+/**
+ * Format a label set in Prometheus exposition syntax
+ * @param {Object} labels - Label names and values
+ * @returns {string} e.g. {method="GET",route="/health"}
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Render all metrics in the Prometheus text exposition format (version 0.0.4)
+ * @returns {string} Metrics document
+ */
+function renderMetrics() {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [suffix, labels, value] of samples) {
+      lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+    }
+  };
+  const entries = [...requestMetrics.values()];
+  
+  metric('http_requests_total', 'counter', 'Total HTTP requests by route and status',
+    entries.map(entry => ['', entry.labels, entry.count]));
+  
+  metric('http_request_duration_seconds', 'histogram', 'HTTP request latency by route and status',
+    entries.flatMap(entry => [
+      ...HTTP_DURATION_BUCKETS.map((bound, index) => ['_bucket', { ...entry.labels, le: bound }, entry.buckets[index]]),
+      ['_bucket', { ...entry.labels, le: '+Inf' }, entry.count],
+      ['_sum', entry.labels, entry.sum],
+      ['_count', entry.labels, entry.count]
+    ]));
+  
+  const memory = process.memoryUsage();
+  metric('http_active_connections', 'gauge', 'Open client connections', [['', {}, resources.connections.size]]);
+  metric('server_tracked_timers', 'gauge', 'Timers tracked for cleanup on shutdown', [['', {}, resources.timers.size]]);
+  metric('server_shutting_down', 'gauge', 'Whether graceful shutdown is in progress (1) or not (0)',
+    [['', {}, resources.isShuttingDown ? 1 : 0]]);
+  metric('process_resident_memory_bytes', 'gauge', 'Resident set size', [['', {}, memory.rss]]);
+  metric('process_heap_used_bytes', 'gauge', 'V8 heap in use', [['', {}, memory.heapUsed]]);
+  metric('process_heap_total_bytes', 'gauge', 'V8 heap allocated', [['', {}, memory.heapTotal]]);
+  
+  // The sampler reports NaN until it has recorded a delay
+  const toSeconds = (nanoseconds) => (Number.isFinite(nanoseconds) ? nanoseconds / 1e9 : 0);
+  metric('nodejs_eventloop_lag_seconds', 'gauge', 'Mean event loop delay since the last scrape',
+    [['', {}, toSeconds(eventLoopDelay.mean)]]);
+  metric('nodejs_eventloop_lag_p99_seconds', 'gauge', '99th percentile event loop delay since the last scrape',
+    [['', {}, toSeconds(eventLoopDelay.percentile(99))]]);
+  eventLoopDelay.reset();
+  
+  return `${lines.join('\n')}\n`;
+}
+
+// =============================================================================
+// HEALTH CHECKS
+// =============================================================================
+
+/**
+ * Readiness checks by name
+ * Each entry holds the check function and its timeout in milliseconds.
+ */
+const healthChecks = new Map();
+
+/**
+ * Register a dependency check for the readiness probe
+ * The check passes when its promise resolves and fails when it rejects or
+ * does not settle within the timeout. Registering an existing name replaces it.
+ * 
+ * @param {string} name - Check name reported in the probe response
+ * @param {Function} check - Async function that rejects when the dependency is unavailable
+ * @param {Object} [options] - Check options
+ * @param {number} [options.timeoutMs] - Time limit, defaults to CONFIG.HEALTH_CHECK_TIMEOUT_MS
+ * @returns {Function} Removes this check again
+ */
+function registerHealthCheck(name, check, options = {}) {
+  const entry = {
+    check,
+    timeoutMs: options.timeoutMs || CONFIG.HEALTH_CHECK_TIMEOUT_MS
+  };
+  healthChecks.set(name, entry);
+  
+  return () => {
+    if (healthChecks.get(name) === entry) {
+      healthChecks.delete(name);
+    }
+  };
+}
+
+/**
+ * Run a single check against its timeout
+ * @param {{check: Function, timeoutMs: number}} entry - Registered check
+ * @returns {Promise<Object>} Result with status ('pass' or 'fail'), durationMs and error
+ */
+async function runHealthCheck({ check, timeoutMs }) {
+  const startedAt = Date.now();
+  
+  try {
+    await runWithTimeout(check, timeoutMs, 'Check');
+    return { status: 'pass', durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { status: 'fail', durationMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+/**
+ * Run every registered check concurrently
+ * @returns {Promise<{ready: boolean, checks: Object}>} Overall result and per-check results
+ */
+async function runHealthChecks() {
+  const names = [...healthChecks.keys()];
+  const results = await Promise.all(names.map(name => runHealthCheck(healthChecks.get(name))));
+  
+  const checks = {};
+  names.forEach((name, index) => {
+    checks[name] = results[index];
+  });
+  
+  return { ready: results.every(result => result.status === 'pass'), checks };
+}
+
+registerHealthCheck('userStore', () => userStore.ping());
+registerHealthCheck('resourceStore', () => resourceStore.ping());
+
+// =============================================================================
+// CRASH DIAGNOSTICS
+// =============================================================================
+
+/**
+ * Create a fixed-size buffer that keeps the most recent items
+ * 
+ * @param {number} capacity - Maximum number of items kept
+ * @returns {Object} Buffer with push/toArray
+ */
+function createRingBuffer(capacity) {
+  const slots = new Array(capacity);
+  let next = 0;
+  let size = 0;
+  
+  return {
+    /**
+     * Add an item, replacing the oldest one when full
+     * @param {*} item - Item to add
+     */
+    push: function(item) {
+      if (capacity === 0) {
+        return;
+      }
+      slots[next] = item;
+      next = (next + 1) % capacity;
+      size = Math.min(size + 1, capacity);
+    },
+    
+    /**
+     * List the items, oldest first
+     * @returns {Array} Buffered items
+     */
+    toArray: function() {
+      const start = (next - size + capacity) % capacity;
+      return Array.from({ length: size }, (_, i) => slots[(start + i) % capacity]);
+    }
+  };
+}
+
+/** Summaries of requests still being handled */
+const inFlightRequests = new Set();
+
+/** Summaries of the last CONFIG.DIAGNOSTICS_RECENT_REQUESTS completed requests */
+const recentRequests = createRingBuffer(CONFIG.DIAGNOSTICS_RECENT_REQUESTS);
+
+/**
+ * Write crash diagnostics to CONFIG.DIAGNOSTICS_DIR
+ * Writes crash-<time>-<pid>.report.json - the Node diagnostic report with
+ * environment variables redacted, plus a "crash" section holding the error
+ * and the in-flight and recent request summaries - and, if enabled, a
+ * .heapsnapshot beside it. Synchronous, so it completes before shutdown
+ * starts; failures are logged rather than thrown.
+ * 
+ * @param {string} event - 'uncaughtException' or 'unhandledRejection'
+ * @param {*} error - Thrown value or rejection reason
+ * @returns {string[]|null} Files written, or null when diagnostics are off
+ */
+function writeCrashDiagnostics(event, error) {
+  if (!CONFIG.DIAGNOSTICS_ENABLED) {
+    return null;
+  }
+  
+  const files = [];
+  try {
+    fs.mkdirSync(CONFIG.DIAGNOSTICS_DIR, { recursive: true });
+    const base = path.join(CONFIG.DIAGNOSTICS_DIR, `crash-${new Date().toISOString().replace(/[:.]/g, '-')}-${process.pid}`);
+    
+    const report = process.report.getReport(error instanceof Error ? error : undefined);
+    const reportFile = `${base}.report.json`;
+    fs.writeFileSync(reportFile, JSON.stringify({
+      ...report,
+      environmentVariables: redactSensitive(report.environmentVariables),
+      crash: {
+        event,
+        error: error instanceof Error ? error : String(error),
+        inFlightRequests: [...inFlightRequests],
+        recentRequests: recentRequests.toArray()
+      }
+    }, serializeLogValue, 2), { mode: 0o600 });
+    files.push(reportFile);
+    
+    if (CONFIG.DIAGNOSTICS_HEAP_SNAPSHOT) {
+      files.push(v8.writeHeapSnapshot(`${base}.heapsnapshot`));
+    }
+    log.process.info('Crash diagnostics written', { files });
+  } catch (writeError) {
+    log.process.error('Failed to write crash diagnostics', { error: writeError, files });
+  }
+  return files;
+}
+
+// =============================================================================
+// EXPRESS APPLICATION SETUP
+// =============================================================================
+
+/**
+ * Express application instance
+ * Configured with body parsing, logging, and security middleware
+ */
+const app = express();
+
+/**
+ * Convert CONFIG.TRUST_PROXY to the value Express expects
+ * @param {string} value - 'true', 'false', a hop count or an address list
+ * @returns {boolean|number|string} Express 'trust proxy' setting
+ */
+const trustProxySetting = (value) => {
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+app.set('trust proxy', trustProxySetting(CONFIG.TRUST_PROXY));
+app.disable('x-powered-by');
+
+/** Accepted format for client-supplied X-Request-Id values */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request correlation middleware
+ * Accepts a well-formed X-Request-Id header or generates one, exposes it as
+ * `req.id` and echoes it in the response. Runs first so even body parsing
+ * errors can be correlated.
+ */
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
+  next();
+});
+
+/**
+ * Request body parsing middleware with size limits
+ * Limits help prevent DoS attacks from oversized payloads
+ */
+app.use(express.json({ limit: CONFIG.BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: CONFIG.BODY_LIMIT }));
+app.use(express.text({ type: 'text/csv', limit: CONFIG.BODY_LIMIT }));
+
+/**
+ * Request logging middleware
+ * Runs the rest of the request inside the request context so every log line
+ * carries the request id, and logs each request's start and completion.
+ * Only the path is logged: query strings can carry tokens or personal data.
+ */
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  const method = req.method;
+  const requestPath = req.path;
+  
+  requestContext.run({ requestId: req.id }, () => {
+    log.http.info('Request started', { method, path: requestPath, ip: req.ip });
+    
+    // 'finish' is emitted outside the request context, so pass the id explicitly
+    res.on('finish', () => {
+      log.http.info('Request completed', {
+        requestId: req.id,
+        method,
+        path: requestPath,
+        statusCode: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+      });
+    });
+    
+    next();
+  });
+});
+
+/**
+ * Request metrics middleware
+ * Records each response under its route pattern (not the raw URL, which
+ * would create one series per id) once it has been sent
+ */
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    recordRequestMetric({
+      method: req.method,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+      status: String(res.statusCode)
+    }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  });
+  
+  next();
+});
+
+/**
+ * Request history middleware
+ * With crash diagnostics on, keeps a summary of each request (path without
+ * the query string, which may carry credentials) for the crash report
+ */
+app.use((req, res, next) => {
+  if (!CONFIG.DIAGNOSTICS_ENABLED) {
+    return next();
+  }
+  
+  const startedAt = Date.now();
+  const summary = { requestId: req.id, method: req.method, path: req.path, startedAt: new Date(startedAt).toISOString() };
+  inFlightRequests.add(summary);
+  
+  res.on('close', () => {
+    inFlightRequests.delete(summary);
+    recentRequests.push({
+      ...summary,
+      statusCode: res.headersSent ? res.statusCode : null,
+      durationMs: Date.now() - startedAt
+    });
+  });
+  next();
+});
+
+/**
+ * Security headers middleware
+ * Sets CSP (with a per-response nonce in res.locals.cspNonce for inline
+ * scripts and styles), HSTS on HTTPS, and anti-sniffing/framing headers
+ */
+app.use((req, res, next) => {
+  res.locals.cspNonce = crypto.randomBytes(16).toString('base64');
+  
+  if (CONFIG.CONTENT_SECURITY_POLICY !== 'off') {
+    res.setHeader('Content-Security-Policy', CONFIG.CONTENT_SECURITY_POLICY.replace(/\{nonce\}/g, res.locals.cspNonce));
+  }
+  if (req.secure && CONFIG.HSTS_MAX_AGE_S > 0) {
+    res.setHeader('Strict-Transport-Security', `max-age=${CONFIG.HSTS_MAX_AGE_S}; includeSubDomains`);
+  }
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', CONFIG.FRAME_OPTIONS);
+  res.setHeader('Referrer-Policy', 'no-referrer');
+  next();
+});
+
+/** Methods and request headers allowed on cross-origin requests */
+const CORS_ALLOWED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const CORS_ALLOWED_HEADERS = ['Authorization', 'Content-Type', 'Idempotency-Key', 'If-Match', 'X-Request-Id', 'X-API-Key'];
+
+/** Response headers browsers may read on cross-origin responses */
+const CORS_EXPOSED_HEADERS = [
+  'ETag', 'Idempotency-Replayed', 'Link', 'Location', 'X-Request-Id',
+  'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After'
+];
+
+/**
+ * CORS middleware
+ * Allows origins listed in CONFIG.CORS_ORIGINS and answers preflight
+ * requests itself; disallowed preflights get a 403.
+ */
+app.use((req, res, next) => {
+  const origin = req.get('Origin');
+  if (!origin) {
+    return next();
+  }
+  
+  res.vary('Origin');
+  const wildcard = CONFIG.CORS_ORIGINS.includes('*');
+  const allowed = wildcard || CONFIG.CORS_ORIGINS.includes(origin);
+  const isPreflight = req.method === 'OPTIONS' && req.get('Access-Control-Request-Method');
+  
+  if (!allowed) {
+    return isPreflight
+      ? sendError(res, 403, 'Forbidden', `Origin ${origin} is not allowed`)
+      : next();
+  }
+  
+  res.setHeader('Access-Control-Allow-Origin', wildcard && !CONFIG.CORS_ALLOW_CREDENTIALS ? '*' : origin);
+  if (CONFIG.CORS_ALLOW_CREDENTIALS) {
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
+  
+  if (!isPreflight) {
+    res.setHeader('Access-Control-Expose-Headers', CORS_EXPOSED_HEADERS.join(', '));
+    return next();
+  }
+  
+  res.setHeader('Access-Control-Allow-Methods', CORS_ALLOWED_METHODS.join(', '));
+  res.setHeader('Access-Control-Allow-Headers', CORS_ALLOWED_HEADERS.join(', '));
+  res.setHeader('Access-Control-Max-Age', CONFIG.CORS_MAX_AGE_S);
+  res.status(204).end();
+});
+
+/**
+ * Response contract validation middleware
+ * Checks every JSON response against the schema declared for its route in
+ * the OpenAPI document (see ROUTE_DOCS). Controlled by CONFIG.RESPONSE_VALIDATION:
+ * mismatches are logged in 'warn' mode and replaced with a 500 in 'strict' mode.
+ */
+app.use((req, res, next) => {
+  if (CONFIG.RESPONSE_VALIDATION === 'off') {
+    return next();
+  }
+  
+  const sendJson = res.json.bind(res);
+  
+  res.json = (payload) => {
+    const schema = findResponseSchema(req, res.statusCode);
+    const routeName = `${req.method} ${req.route ? req.route.path : req.path}`;
+    const errors = schema
+      ? validateAgainstSchema(schema, payload)
+      : [`no response schema declared for status ${res.statusCode}`];
+    
+    if (errors.length === 0) {
+      return sendJson(payload);
+    }
+    
+    log.contract.error('Response does not match its declared schema', {
+      route: routeName,
+      statusCode: res.statusCode,
+      errors
+    });
+    
+    if (CONFIG.RESPONSE_VALIDATION !== 'strict') {
+      return sendJson(payload);
+    }
+    
+    const originalStatus = res.statusCode;
+    res.status(500);
+    return sendJson({
+      success: false,
+      error: 'Response Validation Error',
+      message: `Response for ${routeName} (${originalStatus}) does not match its declared schema`,
+      details: errors.map(message => ({ field: message.split(':')[0], message })),
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  };
+  
+  next();
+});
+
+/** Paths still served during shutdown so probes and scrapers can observe it */
+const SHUTDOWN_EXEMPT_PATHS = ['/health', '/health/live', '/health/ready', '/health/startup', '/metrics'];
+
+/**
+ * Shutdown-aware middleware
+ * Rejects new requests once shutdown has passed its drain delay, except
+ * health probes and metrics
+ */
+app.use((req, res, next) => {
+  if (resources.isClosing && !SHUTDOWN_EXEMPT_PATHS.includes(req.path)) {
+    res.setHeader('Connection', 'close');
+    return sendError(res, 503, 'Service Unavailable', 'Server is shutting down');
+  }
+  next();
+});
+
+/**
+ * Content negotiation middleware
+ * Uses the `produces` and `consumes` media types declared for the matched
+ * route in ROUTE_DOCS: answers 406 when the Accept header rules out every
+ * type the route can produce, and 415 when the request body has a type the
+ * route does not accept. Unknown routes fall through to the 404 handler.
+ */
+app.use((req, res, next) => {
+  const docs = ROUTE_DOCS[routeKeyFor(req)];
+  if (!docs) {
+    return next();
+  }
+  
+  const produces = docs.produces || DEFAULT_PRODUCES;
+  const consumes = docs.consumes || DEFAULT_CONSUMES;
+  
+  if (!req.accepts(produces)) {
+    return sendError(res, 406, 'Not Acceptable', `This endpoint can respond with: ${produces.join(', ')}`);
+  }
+  // req.is() returns null for requests without a body
+  if (req.is('*/*') !== null && !req.is(consumes)) {
+    return sendError(res, 415, 'Unsupported Media Type',
+      `Content-Type ${req.get('Content-Type') || '(none)'} is not supported; use one of: ${consumes.join(', ')}`);
+  }
+  next();
+});
+
+/**
+ * Request deadline middleware
+ * Answers in the error envelope when a route has not responded within its
+ * timeout (CONFIG.ROUTE_TIMEOUTS, else CONFIG.ROUTE_TIMEOUT_MS): 504, or 503
+ * if the server is closing. The handler keeps running, but its late writes
+ * (including error replies from its catch blocks) become no-ops instead of
+ * throwing ERR_HTTP_HEADERS_SENT. The timer is tracked in resources so
+ * shutdown clears it.
+ */
+app.use((req, res, next) => {
+  const timeoutMs = routeTimeoutFor(routeKeyFor(req));
+  if (!timeoutMs) {
+    return next();
+  }
+  
+  const timer = resources.addTimer(setTimeout(() => {
+    resources.removeTimer(timer);
+    if (res.headersSent) {
+      return;
+    }
+    
+    req.timedOut = true;
+    log.http.warn('Request exceeded its deadline', { method: req.method, path: req.path, timeoutMs });
+    if (resources.isClosing) {
+      return sendError(res, 503, 'Service Unavailable', `Request did not complete within ${timeoutMs}ms while the server is shutting down`);
+    }
+    sendError(res, 504, 'Gateway Timeout', `Request did not complete within ${timeoutMs}ms`);
+  }, timeoutMs));
+  
+  let dropped = false;
+  for (const method of ['setHeader', 'writeHead', 'write', 'end']) {
+    const original = res[method];
+    res[method] = function (...args) {
+      if (!req.timedOut || !res.headersSent) {
+        return original.apply(this, args);
+      }
+      if (!dropped) {
+        dropped = true;
+        log.http.warn('Dropped response of a timed-out request', { method: req.method, path: req.path });
+      }
+      return method === 'write' ? true : this;
+    };
+  }
+  
+  res.on('close', () => {
+    clearTimeout(timer);
+    resources.removeTimer(timer);
+  });
+  next();
+});
+
+/**
+ * Idempotency-Key middleware
+ * For POST and PATCH requests carrying an Idempotency-Key, the first
+ * response is stored (for CONFIG.IDEMPOTENCY_TTL_S) and replayed on retries
+ * with an Idempotency-Replayed header. Reusing a key for a different request
+ * is a 422, and retrying while the first request is still running is a 409.
+ * The response is recorded when the handler sends it, even if the client has
+ * disconnected by then; a handler that never answers holds the key for
+ * CONFIG.IDEMPOTENCY_LEASE_S. When a request overruns its deadline, the
+ * deadline reply is not recorded: the key stays held until the handler's
+ * late reply, whose status, body and headers are recorded instead. Server
+ * errors and transient client errors (IDEMPOTENCY_TRANSIENT_STATUSES) are
+ * not stored, so the client can retry them.
+ */
+app.use(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || !IDEMPOTENT_KEY_METHODS.includes(req.method)) {
+    return next();
+  }
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'Validation Error', 'Idempotency-Key must be 1-255 printable ASCII characters');
+  }
+  
+  try {
+    const storeKey = idempotencyStoreKey(req, key);
+    const fingerprint = requestFingerprint(req);
+    const entry = await idempotencyStore.get(storeKey);
+    
+    if (entry && entry.fingerprint !== fingerprint) {
+      return sendError(res, 422, 'Unprocessable Entity', 'Idempotency-Key was already used for a different request');
+    }
+    if (entry && entry.status === 'processing') {
+      return sendError(res, 409, 'Conflict', 'A request with this Idempotency-Key is still being processed');
+    }
+    if (entry) {
+      for (const [name, value] of Object.entries(entry.headers)) {
+        res.setHeader(name, value);
+      }
+      res.setHeader('Idempotency-Replayed', 'true');
+      return res.status(entry.statusCode).send(entry.body);
+    }
+    
+    await idempotencyStore.set(storeKey, { fingerprint, status: 'processing' }, CONFIG.IDEMPOTENCY_LEASE_S * 1000);
+    
+    let responseBody = '';
+    let settled = false;
+    let lateReply = false;
+    const lateHeaders = {};
+    
+    // After a deadline reply, the handler's writes are dropped (see the
+    // deadline middleware), so its late reply is recorded from what it sent
+    const isLate = () => Boolean(req.timedOut) && res.headersSent;
+    
+    const settle = () => {
+      if (settled || (req.timedOut && !lateReply)) return;
+      settled = true;
+      
+      if (res.statusCode >= 500 || IDEMPOTENCY_TRANSIENT_STATUSES.includes(res.statusCode)) {
+        return idempotencyStore.delete(storeKey);
+      }
+      
+      const headers = {};
+      for (const name of IDEMPOTENCY_REPLAYED_HEADERS) {
+        const value = lateReply ? lateHeaders[name] : res.getHeader(name);
+        if (value !== undefined) headers[name] = value;
+      }
+      // Express keeps a content type that is already set, here the deadline reply's
+      if (lateReply && headers['content-type'] === undefined && res.getHeader('content-type') !== undefined) {
+        headers['content-type'] = res.getHeader('content-type');
+      }
+      idempotencyStore.set(storeKey, {
+        fingerprint,
+        status: 'completed',
+        statusCode: res.statusCode,
+        headers,
+        body: Buffer.isBuffer(responseBody) ? responseBody.toString('utf8') : responseBody
+      }, CONFIG.IDEMPOTENCY_TTL_S * 1000);
+    };
+    
+    // Capture the final body; res.json also ends up in res.send, so record
+    // the response once the outermost call has returned
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      lateReply = lateReply || isLate();
+      responseBody = body;
+      process.nextTick(settle);
+      return send(body);
+    };
+    
+    const setHeader = res.setHeader;
+    res.setHeader = function (name, value) {
+      if (isLate()) lateHeaders[name.toLowerCase()] = value;
+      return setHeader.call(this, name, value);
+    };
+    
+    // Responses written without res.send are recorded once they finish
+    res.on('finish', settle);
+    
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// =============================================================================
+// INPUT VALIDATION MIDDLEWARE
+// =============================================================================
+
+/**
+ * Build validation middleware from a field schema (express-validator checkSchema)
+ * The schema stays attached as `fieldSchema`, so defineRoute can document the
+ * route's parameters from the same rules that validate them.
+ * 
+ * @param {Object<string, Object>} schema - checkSchema field definitions
+ * @returns {ValidationChain[]} express-validator chains, with `fieldSchema`
+ */
+const validateFields = (schema) => Object.assign(checkSchema(schema), { fieldSchema: schema });
+
+/**
+ * Mark a field definition as optional when `isOptional` is set
+ * 
+ * @param {boolean} isOptional - Whether the field may be omitted
+ * @param {Object} definition - checkSchema field definition
+ * @returns {Object} Field definition
+ */
+const optionalField = (isOptional, definition) => (isOptional ? { optional: true, ...definition } : definition);
+
+/**
+ * User field rules shared by registration and partial updates
+ * Each factory accepts `isOptional` so updates only validate supplied fields
+ */
+const userFieldRules = {
+  username: (isOptional = false) => optionalField(isOptional, {
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: 'Username is required' },
+    isLength: { options: { min: 3, max: 50 }, errorMessage: 'Username must be between 3 and 50 characters' },
+    matches: { options: /^[a-zA-Z0-9_]+$/, errorMessage: 'Username can only contain letters, numbers, and underscores' }
+  }),
+  
+  email: (isOptional = false) => optionalField(isOptional, {
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: 'Email is required' },
+    isEmail: { errorMessage: 'Invalid email format' },
+    normalizeEmail: true
+  }),
+  
+  password: (isOptional = false) => optionalField(isOptional, {
+    in: ['body'],
+    notEmpty: { errorMessage: 'Password is required' },
+    isLength: { options: { min: 8, max: 128 }, errorMessage: 'Password must be between 8 and 128 characters' },
+    matches: {
+      options: /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+      errorMessage: 'Password must contain at least one lowercase letter, one uppercase letter, and one number'
+    }
+  })
+};
+
+/**
+ * Validation middleware for user registration
+ * Validates username, email, and password fields
+ */
+const validateUserRegistration = validateFields({
+  username: userFieldRules.username(),
+  email: userFieldRules.email(),
+  password: userFieldRules.password()
+});
+
+/**
+ * Validation middleware for partial user updates
+ * Applies the registration rules only to the fields that are supplied
+ */
+const validateUserUpdate = [
+  body()
+    .custom(value => ['username', 'email', 'password', 'role'].some(field => value && value[field] !== undefined))
+    .withMessage('At least one of username, email, password, or role must be provided'),
+  validateFields({
+    username: userFieldRules.username(true),
+    email: userFieldRules.email(true),
+    password: userFieldRules.password(true),
+    role: {
+      in: ['body'],
+      optional: true,
+      isIn: { options: [ROLES], errorMessage: `Role must be one of: ${ROLES.join(', ')}` }
+    }
+  })
+];
+
+/**
+ * Validation middleware for user ID parameter
+ * Ensures ID is a positive integer
+ */
+const validateUserId = validateFields({
+  id: {
+    in: ['params'],
+    notEmpty: { errorMessage: 'User ID is required' },
+    isInt: { options: { min: 1 }, errorMessage: 'User ID must be a positive integer' },
+    toInt: true
+  }
+});
+
+/**
+ * Validation middleware for resource ID parameter
+ * Ensures ID is a positive integer
+ */
+const validateResourceId = validateFields({
+  id: {
+    in: ['params'],
+    notEmpty: { errorMessage: 'Resource ID is required' },
+    isInt: { options: { min: 1 }, errorMessage: 'Resource ID must be a positive integer' },
+    toInt: true
+  }
+});
+
+/** Allowed values for a resource's status field */
+const RESOURCE_STATUSES = ['active', 'inactive', 'archived'];
+
+/**
+ * Resource field rules shared by create, replace and partial updates
+ * Each factory accepts `isOptional` so updates only validate supplied fields
+ */
+const resourceFieldRules = {
+  name: (isOptional = false) => optionalField(isOptional, {
+    in: ['body'],
+    isString: { errorMessage: 'Name must be a string' },
+    trim: true,
+    notEmpty: { errorMessage: 'Name is required' },
+    isLength: { options: { max: 100 }, errorMessage: 'Name must be at most 100 characters' }
+  }),
+  
+  type: (isOptional = false) => optionalField(isOptional, {
+    in: ['body'],
+    isString: { errorMessage: 'Type must be a string' },
+    trim: true,
+    notEmpty: { errorMessage: 'Type is required' },
+    isLength: { options: { max: 50 }, errorMessage: 'Type must be at most 50 characters' },
+    matches: { options: /^[a-zA-Z0-9_-]+$/, errorMessage: 'Type can only contain letters, numbers, hyphens, and underscores' }
+  }),
+  
+  status: () => ({
+    in: ['body'],
+    optional: true,
+    isIn: { options: [RESOURCE_STATUSES], errorMessage: `Status must be one of: ${RESOURCE_STATUSES.join(', ')}` }
+  })
+};
+
+/**
+ * Validation middleware for creating or replacing a resource
+ * Name and type are required; status defaults to 'active'
+ */
+const validateResource = validateFields({
+  name: resourceFieldRules.name(),
+  type: resourceFieldRules.type(),
+  status: resourceFieldRules.status()
+});
+
+/**
+ * Validation middleware for partial resource updates
+ * Applies the resource rules only to the fields that are supplied
+ */
+const validateResourceUpdate = [
+  body()
+    .custom(value => ['name', 'type', 'status'].some(field => value && value[field] !== undefined))
+    .withMessage('At least one of name, type, or status must be provided'),
+  validateFields({
+    name: resourceFieldRules.name(true),
+    type: resourceFieldRules.type(true),
+    status: resourceFieldRules.status()
+  })
+];
+
+/**
+ * Schema rule rejecting a query parameter that is not a single string, such
+ * as a repeated parameter, which Express parses as an array
+ */
+const singleQueryValue = {
+  singleValue: {
+    custom: value => {
+      if (typeof value !== 'string') {
+        throw new Error('Must be given once, as a single value');
+      }
+      return true;
+    },
+    bail: true
+  }
+};
+
+/**
+ * Validation middleware for pagination query parameters
+ * Validates page number and limit with sensible defaults
+ */
+const validatePagination = validateFields({
+  page: {
+    in: ['query'],
+    optional: true,
+    ...singleQueryValue,
+    isInt: { options: { min: 1 }, errorMessage: 'Page must be a positive integer' },
+    toInt: true
+  },
+  
+  limit: {
+    in: ['query'],
+    optional: true,
+    ...singleQueryValue,
+    isInt: { options: { min: 1, max: 100 }, errorMessage: 'Limit must be between 1 and 100' },
+    toInt: true
+  }
+});
+
+/** Query parameters every list endpoint accepts besides its filter fields */
+const LIST_QUERY_PARAMS = ['page', 'limit', 'cursor', 'sort', 'fields'];
+
+/** Filter operators allowed for each field type in list queries */
+const FILTER_OPERATORS = {
+  string: ['eq', 'ne', 'contains', 'startsWith'],
+  number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'],
+  date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte']
+};
+
+/**
+ * Check that a filter value can be compared against a field of the given type
+ * @param {string} type - Field type ('string', 'number' or 'date')
+ * @param {*} value - Raw query string value
+ * @returns {boolean} True if the value is usable
+ */
+const isValidFilterValue = (type, value) => {
+  if (typeof value !== 'string') return false;
+  if (type === 'number') return value.trim() !== '' && !Number.isNaN(Number(value));
+  if (type === 'date') return !Number.isNaN(Date.parse(value));
+  return true;
+};
+
+/**
+ * Split a comma-separated query value into field names
+ * @param {*} value - Raw query string value
+ * @returns {string[]} Field names
+ * @throws {Error} If the value is not a single string
+ */
+const splitFieldList = (value) => {
+  if (typeof value !== 'string') {
+    throw new Error('Must be a single comma-separated list');
+  }
+  return value.split(',').map(field => field.trim()).filter(Boolean);
+};
+
+/**
+ * Fingerprint the sort and filter parameters a cursor was issued for
+ * A cursor is only valid for the same ordering and filter set.
+ * 
+ * @param {Object} queryParams - Request query
+ * @param {Object<string, string>} fieldTypes - Map of field name to type
+ * @returns {string} Short hash of the sort and filter parameters
+ */
+const listQueryFingerprint = (queryParams, fieldTypes) => {
+  const filters = Object.keys(fieldTypes)
+    .filter(field => queryParams[field] !== undefined)
+    .map(field => [field, queryParams[field]]);
+  
+  return crypto.createHash('sha256')
+    .update(JSON.stringify({ sort: queryParams.sort || '', filters }))
+    .digest('base64url')
+    .slice(0, 16);
+};
+
+/**
+ * Create an opaque, signed pagination cursor positioned at a record
+ * 
+ * @param {Object} record - Record at the cursor position
+ * @param {string} direction - 'next' (records after) or 'prev' (records before)
+ * @param {Object} queryParams - Request query (sort and filters)
+ * @param {Object<string, string>} fieldTypes - Map of field name to type
+ * @returns {string} Cursor: base64url(payload).signature
+ */
+const encodeCursor = (record, direction, queryParams, fieldTypes) => {
+  const payload = {
+    d: direction,
+    k: sortFieldNames(queryParams.sort).map(field => record[field]),
+    id: record.id,
+    q: listQueryFingerprint(queryParams, fieldTypes)
+  };
+  const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${data}.${signTokenData(`cursor.${data}`)}`;
+};
+
+/**
+ * Verify and decode a pagination cursor
+ * 
+ * @param {*} cursor - Raw cursor query value
+ * @returns {Object} Decoded payload ({ d, k, id, q })
+ * @throws {Error} If the cursor is malformed or its signature does not match
+ */
+const decodeCursor = (cursor) => {
+  const invalid = new Error('Cursor is invalid or has been tampered with');
+  const [data, signature, extra] = typeof cursor === 'string' ? cursor.split('.') : [];
+  if (!data || !signature || extra !== undefined) {
+    throw invalid;
+  }
+  
+  const expected = Buffer.from(signTokenData(`cursor.${data}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw invalid;
+  }
+  
+  return JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+};
+
+/**
+ * Build validation chains for sorting, filtering, sparse fieldsets and cursors
+ * Combine with validatePagination for list endpoints. Filters use the
+ * `field[operator]=value` syntax; a bare `field=value` means `eq`. Unknown
+ * parameters are rejected rather than ignored, so a typo in a filter never
+ * silently returns the unfiltered list.
+ * 
+ * @param {Object<string, string>} fieldTypes - Map of field name to type
+ * @returns {ValidationChain[]} express-validator chains for sort, fields, cursor and each filter
+ */
+const validateListQuery = (fieldTypes) => {
+  const fieldNames = Object.keys(fieldTypes);
+  const knownParams = [...LIST_QUERY_PARAMS, ...fieldNames];
+  
+  const filterFields = Object.fromEntries(fieldNames.map(field => [field, {
+    in: ['query'],
+    optional: true,
+    validFilter: {
+      custom: value => {
+        const type = fieldTypes[field];
+        const conditions = typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+        
+        for (const [operator, operand] of Object.entries(conditions)) {
+          if (!FILTER_OPERATORS[type].includes(operator)) {
+            throw new Error(`Unsupported filter operator "${operator}" for ${field}; allowed: ${FILTER_OPERATORS[type].join(', ')}`);
+          }
+          if (!isValidFilterValue(type, operand)) {
+            throw new Error(`Filter ${field}[${operator}] requires a single ${type} value`);
+          }
+        }
+        return true;
+      }
+    }
+  }]));
+  
+  return validateFields({
+    '*': {
+      in: ['query'],
+      knownParam: {
+        custom: (value, { path: param }) => {
+          if (!knownParams.includes(param)) {
+            throw new Error(`Unknown query parameter "${param}"; allowed: ${knownParams.join(', ')}`);
+          }
+          return true;
+        }
+      }
+    },
+    
+    cursor: {
+      in: ['query'],
+      optional: true,
+      ...singleQueryValue,
+      validCursor: {
+        custom: (value, { req }) => {
+          if (req.query.page !== undefined) {
+            throw new Error('Cursor cannot be combined with page');
+          }
+          if (decodeCursor(value).q !== listQueryFingerprint(req.query, fieldTypes)) {
+            throw new Error('Cursor does not match the current sort and filters');
+          }
+          return true;
+        }
+      }
+    },
+    
+    sort: {
+      in: ['query'],
+      optional: true,
+      validSort: {
+        custom: value => {
+          for (const entry of splitFieldList(value)) {
+            const field = entry.replace(/^-/, '');
+            if (!fieldNames.includes(field)) {
+              throw new Error(`Cannot sort by "${field}"; allowed fields: ${fieldNames.join(', ')}`);
+            }
+          }
+          return true;
+        }
+      }
+    },
+    
+    fields: {
+      in: ['query'],
+      optional: true,
+      validFields: {
+        custom: value => {
+          const fields = splitFieldList(value);
+          const unknown = fields.filter(field => !fieldNames.includes(field));
+          if (fields.length === 0 || unknown.length > 0) {
+            throw new Error(`Fields must be a list of: ${fieldNames.join(', ')}`);
+          }
+          return true;
+        }
+      }
+    },
+    
+    ...filterFields
+  });
+};
+
+/**
+ * Validation middleware for login credentials
+ * Accepts a username or email address in the `username` field
+ */
+const validateLogin = validateFields({
+  username: {
+    in: ['body'],
+    trim: true,
+    notEmpty: { errorMessage: 'Username or email is required' }
+  },
+  
+  password: {
+    in: ['body'],
+    notEmpty: { errorMessage: 'Password is required' }
+  }
+});
+
+/**
+ * Validation middleware for token refresh and logout
+ * @param {boolean} isOptional - Whether the refresh token may be omitted
+ * @returns {ValidationChain[]} express-validator chains
+ */
+const validateRefreshToken = (isOptional) => validateFields({
+  refreshToken: optionalField(isOptional, {
+    in: ['body'],
+    isString: { errorMessage: 'Refresh token must be a string' },
+    notEmpty: { errorMessage: 'Refresh token is required' }
+  })
+});
+
+/**
+ * Middleware to handle validation results
+ * Returns structured error response if validation fails
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  
+  if (!errors.isEmpty()) {
+    const formattedErrors = errors.array().map(error => {
+      const field = error.path || error.param;
+      return {
+        field,
+        message: error.msg,
+        // Never echo secrets (e.g. a rejected password) back to the client
+        value: field && isSensitiveKey(field) ? REDACTED : error.value
+      };
+    });
+    
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: 'One or more fields failed validation',
+      details: formattedErrors,
+      requestId: req.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  next();
+};
+
+/**
+ * Build the pagination metadata block for list responses
+ * 
+ * @param {number} page - Current page number
+ * @param {number} limit - Items per page
+ * @param {number} totalItems - Total number of items
+ * @returns {Object} Pagination metadata
+ */
+const buildPagination = (page, limit, totalItems) => {
+  const totalPages = Math.ceil(totalItems / limit);
+  
+  return {
+    currentPage: page,
+    totalPages,
+    totalItems,
+    limit,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+};
+
+/**
+ * Convert a field value or filter operand into a comparable primitive
+ * @param {string} type - Field type ('string', 'number' or 'date')
+ * @param {*} value - Raw value
+ * @returns {*} Comparable value
+ */
+const toComparable = (type, value) => {
+  if (type === 'number') return Number(value);
+  if (type === 'date') return Date.parse(value);
+  return String(value);
+};
+
+/** Predicates implementing each filter operator */
+const FILTER_PREDICATES = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  contains: (actual, expected) => actual.toLowerCase().includes(expected.toLowerCase()),
+  startsWith: (actual, expected) => actual.toLowerCase().startsWith(expected.toLowerCase())
+};
+
+/**
+ * Field names named by a sort parameter, without direction prefixes
+ * @param {string} [sort] - Comma-separated sort parameter
+ * @returns {string[]} Field names in sort order
+ */
+const sortFieldNames = (sort) => (sort ? splitFieldList(sort) : []).map(entry => entry.replace(/^-/, ''));
+
+/**
+ * Build a record comparator for a validated sort parameter
+ * Falls back to ascending id so the order is total, as cursors require.
+ * 
+ * @param {string} [sort] - Comma-separated fields, '-' prefix for descending
+ * @param {Object<string, string>} fieldTypes - Map of field name to type
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const buildListComparator = (sort, fieldTypes) => {
+  const comparators = (sort ? splitFieldList(sort) : []).map(entry => {
+    const descending = entry.startsWith('-');
+    const field = entry.replace(/^-/, '');
+    const type = fieldTypes[field];
+    return (a, b) => {
+      const left = toComparable(type, a[field]);
+      const right = toComparable(type, b[field]);
+      const order = left < right ? -1 : left > right ? 1 : 0;
+      return descending ? -order : order;
+    };
+  });
+  comparators.push((a, b) => a.id - b.id);
+  
+  return (a, b) => {
+    for (const compare of comparators) {
+      const order = compare(a, b);
+      if (order !== 0) return order;
+    }
+    return 0;
+  };
+};
+
+/**
+ * Apply validated filter and sort query parameters to a list of records
+ * 
+ * @param {Object[]} records - Records to query
+ * @param {Object} queryParams - Request query, already checked by validateListQuery
+ * @param {Object<string, string>} fieldTypes - Map of field name to type
+ * @returns {Object[]} Matching records in the requested order
+ */
+const applyListQuery = (records, queryParams, fieldTypes) => {
+  let results = records;
+  
+  for (const [field, type] of Object.entries(fieldTypes)) {
+    const value = queryParams[field];
+    if (value === undefined) continue;
+    
+    const conditions = typeof value === 'object' ? value : { eq: value };
+    for (const [operator, operand] of Object.entries(conditions)) {
+      const expected = toComparable(type, operand);
+      results = results.filter(record => FILTER_PREDICATES[operator](toComparable(type, record[field]), expected));
+    }
+  }
+  
+  return [...results].sort(buildListComparator(queryParams.sort, fieldTypes));
+};
+
+/**
+ * Reduce records to the sparse fieldset named by the `fields` query parameter
+ * @param {Object[]} records - Records to project
+ * @param {string} [fields] - Comma-separated field names (all fields when omitted)
+ * @returns {Object[]} Projected records
+ */
+const selectFields = (records, fields) => {
+  if (!fields) return records;
+  
+  const names = splitFieldList(fields);
+  return records.map(record => Object.fromEntries(names.map(name => [name, record[name]])));
+};
+
+/**
+ * Build an RFC 8288 Link header value for list navigation
+ * Keeps every query parameter of the current request except the ones replaced.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object<string, Object|null>} relations - rel name to replacement query parameters
+ * @returns {string} Link header value (empty when there are no links)
+ */
+const buildLinkHeader = (req, relations) => {
+  const currentQuery = req.originalUrl.split('?')[1] || '';
+  
+  return Object.entries(relations)
+    .filter(([, params]) => params)
+    .map(([rel, params]) => {
+      const search = new URLSearchParams(currentQuery);
+      search.delete('page');
+      search.delete('cursor');
+      for (const [name, value] of Object.entries(params)) {
+        search.set(name, value);
+      }
+      return `<${req.baseUrl}${req.path}?${search}>; rel="${rel}"`;
+    })
+    .join(', ');
+};
+
+/**
+ * Filter, sort and paginate records for a list endpoint
+ * Supports page mode (`page`) and cursor mode (`cursor`). Both modes return
+ * `nextCursor`/`prevCursor` so clients can switch to cursors at any point,
+ * and both set a Link header with next/prev relations.
+ * 
+ * @param {Object} req - Express request object (query validated by validatePagination and validateListQuery)
+ * @param {Object} res - Express response object
+ * @param {Object[]} records - All records of the collection
+ * @param {Object<string, string>} fieldTypes - Map of field name to type
+ * @returns {{data: Object[], pagination: Object}} Response data and pagination metadata
+ */
+const paginateList = (req, res, records, fieldTypes) => {
+  const limit = req.query.limit || 10;
+  const matches = applyListQuery(records, req.query, fieldTypes);
+  const cursorFor = (record, direction) => encodeCursor(record, direction, req.query, fieldTypes);
+  let items;
+  let pagination;
+  let links;
+  
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    const anchor = { id: cursor.id };
+    sortFieldNames(req.query.sort).forEach((field, index) => {
+      anchor[field] = cursor.k[index];
+    });
+    
+    const compare = buildListComparator(req.query.sort, fieldTypes);
+    let hasNextPage;
+    let hasPreviousPage;
+    
+    if (cursor.d === 'prev') {
+      const before = matches.filter(record => compare(record, anchor) < 0);
+      items = before.slice(-limit);
+      hasPreviousPage = before.length > limit;
+      hasNextPage = matches.length > before.length;
+    } else {
+      const after = matches.filter(record => compare(record, anchor) > 0);
+      items = after.slice(0, limit);
+      hasNextPage = after.length > limit;
+      hasPreviousPage = matches.length > after.length;
+    }
+    
+    const nextCursor = hasNextPage ? cursorFor(items[items.length - 1] || anchor, 'next') : null;
+    const prevCursor = hasPreviousPage ? cursorFor(items[0] || anchor, 'prev') : null;
+    
+    pagination = {
+      mode: 'cursor',
+      totalItems: matches.length,
+      limit,
+      hasNextPage,
+      hasPreviousPage,
+      nextCursor,
+      prevCursor
+    };
+    links = {
+      next: nextCursor && { cursor: nextCursor },
+      prev: prevCursor && { cursor: prevCursor }
+    };
+  } else {
+    const page = req.query.page || 1;
+    const offset = (page - 1) * limit;
+    items = matches.slice(offset, offset + limit);
+    
+    const pageInfo = buildPagination(page, limit, matches.length);
+    pagination = {
+      mode: 'page',
+      ...pageInfo,
+      nextCursor: pageInfo.hasNextPage && items.length > 0 ? cursorFor(items[items.length - 1], 'next') : null,
+      prevCursor: pageInfo.hasPreviousPage && items.length > 0 ? cursorFor(items[0], 'prev') : null
+    };
+    links = {
+      next: pageInfo.hasNextPage && { page: page + 1 },
+      prev: pageInfo.hasPreviousPage && { page: page - 1 }
+    };
+  }
+  
+  const linkHeader = buildLinkHeader(req, links);
+  if (linkHeader) {
+    res.setHeader('Link', linkHeader);
+  }
+  
+  return {
+    data: selectFields(items, req.query.fields),
+    pagination
+  };
+};
+
+// =============================================================================
+// RESPONSE HELPERS
+// =============================================================================
+
+/**
+ * Send an error response in the envelope used by the global error middleware
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {string} error - Short error name (e.g. 'Not Found')
+ * @param {string} message - Human-readable description
+ * @param {Array<Object>} [details] - Field-level details in handleValidationErrors format
+ */
+const sendError = (res, statusCode, error, message, details) => {
+  const errorResponse = {
+    success: false,
+    error,
+    message
+  };
+  
+  if (details) {
+    errorResponse.details = details;
+  }
+  errorResponse.requestId = res.req.id;
+  errorResponse.timestamp = new Date().toISOString();
+  
+  res.status(statusCode).json(errorResponse);
+};
+
+/**
+ * Send a 404 response in the same shape as the catch-all route handler
+ * 
+ * @param {Object} res - Express response object
+ * @param {string} message - Description of what was not found
+ */
+const sendNotFound = (res, message) => {
+  sendError(res, 404, 'Not Found', message);
+};
+
+/**
+ * Send a 409 response for a unique constraint violation
+ * Uses the same envelope and `details` format as handleValidationErrors
+ * 
+ * @param {Object} res - Express response object
+ * @param {Error} error - Conflict error raised by a store
+ */
+const sendConflict = (res, error) => {
+  sendError(res, 409, 'Conflict', error.message, error.details);
+};
+
+// =============================================================================
+// ROUTE TABLE
+// =============================================================================
+
+/**
+ * Routes in registration order, recorded by defineRoute
+ * Middleware that needs the matched route before Express dispatches (content
+ * negotiation, deadlines) and the API documentation read this table.
+ * @type {Array<{method: string, path: string, key: string, pattern: RegExp, fields: Object}>}
+ */
+const routeTable = [];
+
+/**
+ * Compile an Express route path into a matcher with Express's defaults
+ * (case-insensitive, optional trailing slash)
+ * 
+ * @param {string} routePath - Route path with :name parameters
+ * @returns {RegExp} Matcher for request paths
+ */
+const routePattern = (routePath) => {
+  const source = routePath
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/:[A-Za-z0-9_]+/g, '[^/]+?');
+  return new RegExp(`^${source}/?$`, 'i');
+};
+
+/**
+ * Merge the field schemas of a route's validation middleware
+ * 
+ * @param {Array} handlers - Route handlers, possibly nested in arrays
+ * @returns {Object<string, Object>} checkSchema field definitions by field name
+ */
+const collectFieldSchemas = (handlers) => handlers.reduce((fields, handler) => (Array.isArray(handler)
+  ? { ...fields, ...handler.fieldSchema, ...collectFieldSchemas(handler) }
+  : fields), {});
+
+/**
+ * Register a route on the app and record it in the route table
+ * 
+ * @param {string} method - Lower-case HTTP method (get, post, put, patch, delete)
+ * @param {string} routePath - Express route path
+ * @param {...(Function|Array)} handlers - Middleware and handler, as for app[method]
+ */
+function defineRoute(method, routePath, ...handlers) {
+  const upperMethod = method.toUpperCase();
+  routeTable.push({
+    method: upperMethod,
+    path: routePath,
+    key: `${upperMethod} ${routePath}`,
+    pattern: routePattern(routePath),
+    fields: collectFieldSchemas(handlers)
+  });
+  app[method](routePath, ...handlers);
+}
+
+/**
+ * Find the route table key of the route a request will be dispatched to
+ * 
+ * @param {Object} req - Express request object
+ * @returns {string|null} "METHOD /route/path", or null when no route matches
+ */
+function routeKeyFor(req) {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const route = routeTable.find(entry => entry.method === method && entry.pattern.test(req.path));
+  return route ? route.key : null;
+}
+
+// =============================================================================
+// CONTENT NEGOTIATION
+// =============================================================================
+
+/** Media types handled by the API */
+const MEDIA_TYPES = {
+  json: 'application/json',
+  form: 'application/x-www-form-urlencoded',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+/** Response types of routes that declare no `produces` in ROUTE_DOCS */
+const DEFAULT_PRODUCES = [MEDIA_TYPES.json];
+
+/** Request body types of routes that declare no `consumes` in ROUTE_DOCS */
+const DEFAULT_CONSUMES = [MEDIA_TYPES.json, MEDIA_TYPES.form];
+
+/** Response types offered by list endpoints, in order of preference */
+const LIST_FORMATS = [MEDIA_TYPES.json, MEDIA_TYPES.csv, MEDIA_TYPES.ndjson];
+
+/** Most data rows accepted in one CSV import */
+const CSV_IMPORT_MAX_ROWS = 1000;
+
+/**
+ * Format one CSV cell (RFC 4180)
+ * Text starting with a spreadsheet formula character is prefixed with a
+ * quote so opening an export cannot run formulas.
+ * 
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function toCsvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize records as CSV with a header row
+ * 
+ * @param {Object[]} records - Rows to write
+ * @param {string[]} columns - Column names, in order
+ * @returns {string} CSV document (CRLF line endings)
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(toCsvCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => toCsvCell(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Create the 400 error raised for malformed CSV input
+ * @param {string} message - What is wrong
+ * @returns {Error} Operational error handled by the global error middleware
+ */
+function createCsvError(message) {
+  const error = new Error(message);
+  error.name = 'Invalid CSV';
+  error.statusCode = 400;
+  error.isOperational = true;
+  return error;
+}
+
+/**
+ * Parse a CSV document (RFC 4180) into records keyed by the header row
+ * Quoted cells may contain commas, quotes ("") and line breaks. Blank lines
+ * are skipped and empty cells are left out of their record.
+ * 
+ * @param {string} text - CSV document
+ * @returns {Object[]} One object per data row
+ * @throws {Error} 400 error for malformed input or rows of the wrong width
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+  
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+    
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  
+  if (quoted) {
+    throw createCsvError('Unterminated quoted cell');
+  }
+  endRow();
+  
+  if (rows.length === 0) {
+    throw createCsvError('CSV must start with a header row');
+  }
+  
+  const [header, ...dataRows] = rows;
+  const columns = header.map(column => column.trim());
+  
+  return dataRows.map((cells, index) => {
+    if (cells.length !== columns.length) {
+      throw createCsvError(`Row ${index + 1} has ${cells.length} cells but the header has ${columns.length}`);
+    }
+    const record = {};
+    columns.forEach((column, position) => {
+      if (cells[position] !== '') {
+        record[column] = cells[position];
+      }
+    });
+    return record;
+  });
+}
+
+/**
+ * Send a list result in the format the client asked for
+ * JSON keeps the standard envelope; CSV and NDJSON carry the rows only,
+ * with the total in X-Total-Count and navigation in the Link header.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {{data: Object[], pagination: Object}} list - Result of paginateList
+ */
+function sendList(req, res, list) {
+  const format = req.accepts(LIST_FORMATS);
+  
+  if (format === MEDIA_TYPES.json) {
+    return res.status(200).json({ success: true, ...list });
+  }
+  
+  res.setHeader('X-Total-Count', list.pagination.totalItems);
+  
+  if (format === MEDIA_TYPES.csv) {
+    const columns = req.query.fields
+      ? splitFieldList(req.query.fields)
+      : [...new Set(list.data.flatMap(record => Object.keys(record)))];
+    return res.status(200).type('text/csv; charset=utf-8').send(toCsv(list.data, columns));
+  }
+  
+  res.status(200).type(MEDIA_TYPES.ndjson).send(list.data.map(record => `${JSON.stringify(record)}\n`).join(''));
+}
+
+// =============================================================================
+// AUTHENTICATION MIDDLEWARE
+// =============================================================================
+
+/**
+ * Require a valid Bearer access token
+ * Loads the token's user and exposes it as `req.user` (and the claims as
+ * `req.auth`). Responds 401 when the token is missing, invalid, expired,
+ * revoked, or belongs to a user that no longer exists.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireAuth = async (req, res, next) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  
+  const reject = (message) => {
+    res.setHeader('WWW-Authenticate', 'Bearer');
+    sendError(res, 401, 'Unauthorized', message);
+  };
+  
+  if (scheme !== 'Bearer' || !token) {
+    return reject('Authentication required');
+  }
+  
+  let payload;
+  try {
+    payload = verifyToken(token, 'access');
+  } catch (error) {
+    return reject(error.message);
+  }
+  
+  try {
+    const user = await userStore.findById(payload.sub);
+    if (!user) {
+      return reject('User no longer exists');
+    }
+    
+    req.user = toPublicUser(user);
+    req.auth = payload;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enforce the ROUTE_ROLES entry for the matched route
+ * Must run after requireAuth. Responds 403 when the user's role is not listed.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authorize = (req, res, next) => {
+  const allowedRoles = ROUTE_ROLES[`${req.method} ${req.route.path}`];
+  
+  if (allowedRoles && !allowedRoles.includes(req.user.role)) {
+    return sendError(res, 403, 'Forbidden', `This action requires one of the roles: ${allowedRoles.join(', ')}`);
+  }
+  next();
+};
+
+/**
+ * Allow users to act on their own account, and admins on any account
+ * Must run after requireAuth and validateUserId
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireSelfOrAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.id !== req.params.id) {
+    return sendError(res, 403, 'Forbidden', 'You may only access your own account');
+  }
+  next();
+};
+
+// =============================================================================
+// EXPIRING KEY-VALUE STORE
+// =============================================================================
+
+/**
+ * Create an in-memory store whose entries expire
+ * Backs the rate limiter and idempotency key records. Other stores (e.g.
+ * Redis) must provide the same async get/set/delete/close interface.
+ * Expired entries are swept periodically by a timer registered with
+ * resources.addTimer, so graceful shutdown clears it.
+ * 
+ * @param {Object} [options] - Store options
+ * @param {number} [options.sweepIntervalMs=60000] - How often to drop expired entries
+ * @returns {Object} Store with async get/set/delete and sweep/clear/close
+ */
+function createMemoryExpiringStore(options = {}) {
+  const entries = new Map();
+  
+  const sweepTimer = resources.addTimer(setInterval(() => store.sweep(), options.sweepIntervalMs || 60000));
+  sweepTimer.unref();
+  
+  const store = {
+    /**
+     * Get the value stored for a key
+     * @param {string} key - Entry key
+     * @returns {Promise<Object|undefined>} Stored value, unless expired
+     */
+    get: async function(key) {
+      const entry = entries.get(key);
+      return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+    },
+    
+    /**
+     * Store a value for a key
+     * @param {string} key - Entry key
+     * @param {Object} value - Value to store
+     * @param {number} ttlMs - Time after which the value may be discarded
+     * @returns {Promise<void>}
+     */
+    set: async function(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    
+    /**
+     * Remove a key
+     * @param {string} key - Entry key
+     * @returns {Promise<void>}
+     */
+    delete: async function(key) {
+      entries.delete(key);
+    },
+    
+    /**
+     * Drop expired entries
+     * @returns {number} Number of entries removed
+     */
+    sweep: function() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    
+    /**
+     * Remove all entries
+     */
+    clear: function() {
+      entries.clear();
+    },
+    
+    /**
+     * Stop the sweep timer and remove all entries
+     * @returns {Promise<void>}
+     */
+    close: async function() {
+      clearInterval(sweepTimer);
+      resources.removeTimer(sweepTimer);
+      entries.clear();
+    }
+  };
+  
+  return store;
+}
+
+// =============================================================================
+// REQUEST DEADLINES
+// =============================================================================
+
+/**
+ * Get the response deadline for a route
+ * @param {string|null} routeKey - "METHOD /path", or null for unmatched requests
+ * @returns {number} Deadline in milliseconds, 0 for none
+ */
+function routeTimeoutFor(routeKey) {
+  return CONFIG.ROUTE_TIMEOUTS[routeKey] ?? CONFIG.ROUTE_TIMEOUT_MS;
+}
+
+// =============================================================================
+// RATE LIMITING
+// =============================================================================
+
+/**
+ * Rate limiting algorithms
+ * Each takes the limiter options, the stored state (undefined for a new
+ * client) and the current time, and returns the decision plus the new state.
+ */
+const RATE_LIMIT_ALGORITHMS = {
+  /**
+   * Allow `limit` requests per `windowMs`, resetting at the end of each window
+   */
+  fixedWindow: ({ limit, windowMs }, state, now) => {
+    const current = state && state.resetAt > now ? state : { count: 0, resetAt: now + windowMs };
+    const allowed = current.count < limit;
+    const next = { count: current.count + (allowed ? 1 : 0), resetAt: current.resetAt };
+    
+    return {
+      allowed,
+      remaining: limit - next.count,
+      resetMs: next.resetAt - now,
+      retryAfterMs: allowed ? 0 : next.resetAt - now,
+      state: next,
+      ttlMs: next.resetAt - now
+    };
+  },
+  
+  /**
+   * Allow bursts of `limit` requests, refilling `refillPerSecond` tokens per second
+   */
+  tokenBucket: ({ limit, refillPerSecond }, state, now) => {
+    const elapsedSeconds = state ? (now - state.updatedAt) / 1000 : 0;
+    const available = state ? Math.min(limit, state.tokens + elapsedSeconds * refillPerSecond) : limit;
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+    const msPerToken = 1000 / refillPerSecond;
+    
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((limit - tokens) * msPerToken),
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) * msPerToken),
+      state: { tokens, updatedAt: now },
+      ttlMs: Math.ceil((limit - tokens) * msPerToken) + 1000
+    };
+  }
+};
+
+/**
+ * Ways of identifying the client a request counts against
+ * 'user' and 'apiKey' fall back to the client IP when absent; API keys are
+ * hashed so they never sit in the store in clear text.
+ */
+const RATE_LIMIT_KEYS = {
+  ip: (req) => `ip:${req.ip}`,
+  user: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  apiKey: (req) => {
+    const apiKey = req.get('X-API-Key');
+    return apiKey
+      ? `apiKey:${crypto.createHash('sha256').update(apiKey).digest('hex')}`
+      : `ip:${req.ip}`;
+  }
+};
+
+/** Shared store for the route rate limits */
+const rateLimitStore = createMemoryExpiringStore();
+
+/**
+ * Create a rate limiting middleware
+ * Sets RateLimit-Limit/-Remaining/-Reset/-Policy headers on every response
+ * and answers 429 with Retry-After once the client is over its limit.
+ * 
+ * @param {Object} options - Limiter options
+ * @param {string} options.name - Limiter name, namespaces its keys in the store
+ * @param {string} [options.algorithm='fixedWindow'] - 'fixedWindow' or 'tokenBucket'
+ * @param {number} options.limit - Requests per window, or bucket capacity
+ * @param {number} [options.windowMs] - Window length (fixedWindow)
+ * @param {number} [options.refillPerSecond] - Token refill rate (tokenBucket)
+ * @param {string|Function} [options.keyBy='ip'] - RATE_LIMIT_KEYS name or (req) => key
+ * @param {Object} [options.store] - Expiring store (get/set), defaults to rateLimitStore
+ * @returns {Function} Express middleware
+ */
+function rateLimit(options) {
+  const algorithmName = options.algorithm || 'fixedWindow';
+  const algorithm = RATE_LIMIT_ALGORITHMS[algorithmName];
+  const keyFor = typeof options.keyBy === 'function' ? options.keyBy : RATE_LIMIT_KEYS[options.keyBy || 'ip'];
+  const store = options.store || rateLimitStore;
+  
+  if (!algorithm) {
+    throw new Error(`Unknown rate limit algorithm "${algorithmName}"`);
+  }
+  if (!keyFor) {
+    throw new Error(`Unknown rate limit key "${options.keyBy}"`);
+  }
+  
+  const windowSeconds = algorithmName === 'tokenBucket'
+    ? Math.ceil(options.limit / options.refillPerSecond)
+    : Math.ceil(options.windowMs / 1000);
+  const policy = `${options.limit};w=${windowSeconds}`;
+  
+  return async (req, res, next) => {
+    try {
+      const key = `${options.name}:${keyFor(req)}`;
+      const now = Date.now();
+      const decision = algorithm(options, await store.get(key), now);
+      await store.set(key, decision.state, decision.ttlMs);
+      
+      res.setHeader('RateLimit-Limit', options.limit);
+      res.setHeader('RateLimit-Remaining', Math.max(0, decision.remaining));
+      res.setHeader('RateLimit-Reset', Math.ceil(decision.resetMs / 1000));
+      res.setHeader('RateLimit-Policy', policy);
+      
+      if (!decision.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(decision.retryAfterMs / 1000));
+        res.setHeader('Retry-After', retryAfter);
+        log.http.warn('Rate limit exceeded', { limiter: options.name, key });
+        return sendError(res, 429, 'Too Many Requests', `Rate limit exceeded, retry in ${retryAfter} seconds`);
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/** Middleware built from CONFIG.ROUTE_RATE_LIMITS, created on first use */
+const routeLimiters = new Map();
+
+/**
+ * Enforce the CONFIG.ROUTE_RATE_LIMITS entry for the matched route
+ * Applied only when CONFIG.RATE_LIMIT_ENABLED is on. Place it after
+ * requireAuth on routes limited per user.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const limitRate = (req, res, next) => {
+  const routeKey = `${req.method} ${req.route.path}`;
+  const limits = CONFIG.ROUTE_RATE_LIMITS[routeKey];
+  
+  if (!limits || !CONFIG.RATE_LIMIT_ENABLED) {
+    return next();
+  }
+  if (!routeLimiters.has(routeKey)) {
+    routeLimiters.set(routeKey, rateLimit({ name: routeKey, ...limits }));
+  }
+  routeLimiters.get(routeKey)(req, res, next);
+};
+
+registerLifecycleHook('shutdown', 'rateLimitStore', () => rateLimitStore.close());
+
+// =============================================================================
+// IDEMPOTENCY KEYS
+// =============================================================================
+
+/** Methods whose requests honour the Idempotency-Key header */
+const IDEMPOTENT_KEY_METHODS = ['POST', 'PATCH'];
+
+/** Accepted Idempotency-Key values (printable ASCII, at most 255 characters) */
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/** Client error statuses that are worth retrying, so never stored for replay */
+const IDEMPOTENCY_TRANSIENT_STATUSES = [408, 425, 429];
+
+/** Response headers stored and replayed with an idempotent response */
+const IDEMPOTENCY_REPLAYED_HEADERS = ['content-type', 'location', 'etag', 'link'];
+
+/** First responses by client and Idempotency-Key */
+const idempotencyStore = createMemoryExpiringStore();
+
+/**
+ * Build the store key for a request's Idempotency-Key
+ * Keys are scoped to the caller so clients cannot replay each other's
+ * responses: the user a valid bearer token was issued for (so retries keep
+ * their key across token refreshes), or the IP address when anonymous. This
+ * runs before requireAuth, so the token is verified here.
+ * 
+ * @param {Object} req - Express request object
+ * @param {string} key - Idempotency-Key header value
+ * @returns {string} Store key
+ */
+function idempotencyStoreKey(req, key) {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  let caller = `ip:${req.ip}`;
+  if (scheme === 'Bearer' && token) {
+    try {
+      caller = `user:${verifyToken(token, 'access').sub}`;
+    } catch (error) {
+      // Requests with unusable tokens are answered 401 by requireAuth
+    }
+  }
+  return `${caller}:${key}`;
+}
+
+/**
+ * Fingerprint the parts of a request that must match on retry
+ * @param {Object} req - Express request object
+ * @returns {string} Hash of the method, path and body
+ */
+function requestFingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.path, req.body === undefined ? null : req.body]))
+    .digest('base64url');
+}
+
+registerLifecycleHook('shutdown', 'idempotencyStore', () => idempotencyStore.close());
+
+// =============================================================================
+// OPENAPI DOCUMENTATION
+// =============================================================================
+
+/**
+ * Build a JSON Schema for the `{ success, message?, data }` response envelope
+ * @param {Object} dataSchema - Schema of the `data` field
+ * @returns {Object} Envelope schema
+ */
+const dataEnvelope = (dataSchema) => ({
+  type: 'object',
+  required: ['success', 'data'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    message: { type: 'string' },
+    data: dataSchema
+  }
+});
+
+/**
+ * Build a JSON Schema for paginated list responses
+ * List items may be sparse fieldsets, so none of their fields are required.
+ * 
+ * @param {string} name - Component schema name of the list items
+ * @returns {Object} Envelope schema with `data` array and `pagination`
+ */
+const listEnvelope = (name) => ({
+  type: 'object',
+  required: ['success', 'data', 'pagination'],
+  properties: {
+    success: { type: 'boolean', enum: [true] },
+    data: {
+      type: 'array',
+      items: { type: 'object', properties: OPENAPI_SCHEMAS[name].properties }
+    },
+    pagination: { $ref: '#/components/schemas/Pagination' }
+  }
+});
+
+/** Reference to a component schema */
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/** Reusable component schemas for the OpenAPI document */
+const OPENAPI_SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['success', 'error', 'message', 'timestamp'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      message: { type: 'string' },
+      details: { description: 'Field errors ({ field, message, value }[]) or, in development, request info' },
+      stack: { type: 'string', description: 'Development mode only' },
+      requestId: { type: 'string', description: 'Correlation id, also sent as the X-Request-Id header' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  User: {
+    type: 'object',
+    required: ['id', 'username', 'email', 'role', 'createdAt', 'updatedAt'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      username: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ROLES },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Resource: {
+    type: 'object',
+    required: ['id', 'name', 'type', 'status', 'version', 'createdAt', 'updatedAt'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      name: { type: 'string' },
+      type: { type: 'string' },
+      status: { type: 'string', enum: RESOURCE_STATUSES },
+      version: { type: 'integer', minimum: 1 },
+      createdBy: { type: 'integer' },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Item: {
+    type: 'object',
+    required: ['id', 'name', 'createdAt'],
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      name: { type: 'string' },
+      createdAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    required: ['mode', 'totalItems', 'limit', 'hasNextPage', 'hasPreviousPage', 'nextCursor', 'prevCursor'],
+    properties: {
+      mode: { type: 'string', enum: ['page', 'cursor'] },
+      currentPage: { type: 'integer', description: 'Page mode only' },
+      totalPages: { type: 'integer', description: 'Page mode only' },
+      totalItems: { type: 'integer' },
+      limit: { type: 'integer' },
+      hasNextPage: { type: 'boolean' },
+      hasPreviousPage: { type: 'boolean' },
+      nextCursor: { type: 'string', nullable: true },
+      prevCursor: { type: 'string', nullable: true }
+    }
+  },
+  Health: {
+    type: 'object',
+    required: ['status', 'timestamp', 'uptime'],
+    properties: {
+      status: { type: 'string', enum: ['healthy', 'shutting_down'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'number' },
+      environment: { type: 'string' },
+      memoryUsage: { type: 'object' }
+    }
+  },
+  Probe: {
+    type: 'object',
+    required: ['status', 'timestamp'],
+    properties: {
+      status: { type: 'string', enum: ['alive', 'started', 'starting'] },
+      uptime: { type: 'number' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'checks', 'timestamp'],
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not_ready'] },
+      reason: { type: 'string' },
+      checks: { type: 'object', description: 'Per-check results ({ status: pass|fail, durationMs, error? }) by name' },
+      timestamp: { type: 'string', format: 'date-time' }
+    }
+  },
+  TokenPair: {
+    type: 'object',
+    required: ['tokenType', 'accessToken', 'refreshToken', 'expiresIn'],
+    properties: {
+      tokenType: { type: 'string', enum: ['Bearer'] },
+      accessToken: { type: 'string' },
+      refreshToken: { type: 'string' },
+      expiresIn: { type: 'integer', description: 'Access token lifetime in seconds' }
+    }
+  }
+};
+
+/**
+ * Summaries, success responses and notable error statuses for each route
+ * Keyed like ROUTE_ROLES. Parameters and request bodies are derived from the
+ * route's validation chains, and 400/401/403/404 responses are added
+ * automatically, so only route-specific errors are listed here. `produces`
+ * and `consumes` list the response and request body media types, enforced by
+ * the content negotiation middleware (defaults: DEFAULT_PRODUCES, DEFAULT_CONSUMES).
+ */
+const ROUTE_DOCS = {
+  'GET /': {
+    summary: 'Welcome message',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['message', 'version', 'timestamp'],
+        properties: {
+          message: { type: 'string' },
+          version: { type: 'string' },
+          documentation: { type: 'string' },
+          health: { type: 'string' },
+          metrics: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  'GET /health': {
+    summary: 'Health check',
+    responses: {
+      200: schemaRef('Health'),
+      503: schemaRef('Health')
+    }
+  },
+  'GET /health/live': { summary: 'Liveness probe', responses: { 200: schemaRef('Probe') } },
+  'GET /health/ready': {
+    summary: 'Readiness probe (aggregates dependency checks)',
+    responses: { 200: schemaRef('Readiness'), 503: schemaRef('Readiness') }
+  },
+  'GET /health/startup': {
+    summary: 'Startup probe',
+    responses: { 200: schemaRef('Probe'), 503: schemaRef('Probe') }
+  },
+  'POST /api/users': { summary: 'Create user', responses: { 201: dataEnvelope(schemaRef('User')) }, errors: [409] },
+  'GET /api/users': {
+    summary: 'Get paginated users (supports cursor, sort, fields and filters)',
+    produces: LIST_FORMATS,
+    responses: { 200: listEnvelope('User') }
+  },
+  'GET /api/users/:id': { summary: 'Get user by ID', responses: { 200: dataEnvelope(schemaRef('User')) } },
+  'PATCH /api/users/:id': { summary: 'Update user', responses: { 200: dataEnvelope(schemaRef('User')) }, errors: [409] },
+  'DELETE /api/users/:id': { summary: 'Delete user', responses: { 200: dataEnvelope(schemaRef('User')) } },
+  'POST /api/auth/login': {
+    summary: 'Log in and receive tokens',
+    responses: {
+      200: dataEnvelope({
+        allOf: [schemaRef('TokenPair'), { type: 'object', required: ['user'], properties: { user: schemaRef('User') } }]
+      })
+    },
+    errors: [401]
+  },
+  'POST /api/auth/refresh': {
+    summary: 'Exchange a refresh token for new tokens',
+    responses: { 200: dataEnvelope(schemaRef('TokenPair')) },
+    errors: [401]
+  },
+  'POST /api/auth/logout': {
+    summary: 'Revoke the current tokens',
+    responses: {
+      200: {
+        type: 'object',
+        required: ['success', 'message'],
+        properties: { success: { type: 'boolean', enum: [true] }, message: { type: 'string' } }
+      }
+    }
+  },
+  'POST /api/resources': { summary: 'Create resource', responses: { 201: dataEnvelope(schemaRef('Resource')) } },
+  'GET /api/resources/:id': { summary: 'Get resource by ID', responses: { 200: dataEnvelope(schemaRef('Resource')) } },
+  'PUT /api/resources/:id': {
+    summary: 'Replace resource (requires If-Match)',
+    responses: { 200: dataEnvelope(schemaRef('Resource')) },
+    errors: [412, 428]
+  },
+  'PATCH /api/resources/:id': {
+    summary: 'Update resource (requires If-Match)',
+    responses: { 200: dataEnvelope(schemaRef('Resource')) },
+    errors: [412, 428]
+  },
+  'DELETE /api/resources/:id': {
+    summary: 'Delete resource (requires If-Match)',
+    responses: { 200: dataEnvelope(schemaRef('Resource')) },
+    errors: [412, 428]
+  },
+  'POST /api/resources/import': {
+    summary: 'Bulk import resources from CSV (columns: name, type, status)',
+    consumes: [MEDIA_TYPES.csv],
+    responses: { 201: dataEnvelope({ type: 'array', items: schemaRef('Resource') }) }
+  },
+  'GET /api/items': {
+    summary: 'Get paginated items (supports cursor, sort, fields and filters)',
+    produces: LIST_FORMATS,
+    responses: { 200: listEnvelope('Item') }
+  },
+  'GET /api/docs': {
+    summary: 'API documentation (JSON summary, or the HTML viewer for browsers)',
+    produces: [MEDIA_TYPES.json, 'text/html'],
+    responses: { 200: { type: 'object' } }
+  },
+  'GET /api/docs/openapi.json': { summary: 'OpenAPI 3 document', responses: { 200: { type: 'object' } } },
+  'GET /api/admin/config': {
+    summary: 'Effective configuration with secrets redacted',
+    responses: {
+      200: dataEnvelope({
+        type: 'object',
+        required: ['config', 'sources'],
+        properties: {
+          config: { type: 'object' },
+          sources: { type: 'object', description: 'Origin of each setting: default, file or env' }
+        }
+      })
+    }
+  },
+  'GET /metrics': {
+    summary: 'Prometheus metrics (text exposition format 0.0.4)',
+    produces: ['text/plain'],
+    responses: { 200: { type: 'string' } }
+  }
+};
+
+/** Reason phrases for documented error statuses */
+const ERROR_DESCRIPTIONS = {
+  400: 'Validation Error',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  406: 'Not Acceptable',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  415: 'Unsupported Media Type',
+  422: 'Unprocessable Entity',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+/**
+ * Check a value against a JSON Schema from the OpenAPI document
+ * Supports the subset used here: type, nullable, enum, required, properties,
+ * items, allOf, $ref to component schemas, and the date-time format.
+ * 
+ * @param {Object} schema - Schema to check against
+ * @param {*} value - Value to check
+ * @param {string} [location='body'] - Path of the value, used in messages
+ * @returns {string[]} Mismatch descriptions (empty when the value conforms)
+ */
+const validateAgainstSchema = (schema, value, location = 'body') => {
+  if (schema.$ref) {
+    return validateAgainstSchema(OPENAPI_SCHEMAS[schema.$ref.split('/').pop()], value, location);
+  }
+  if (schema.allOf) {
+    return schema.allOf.flatMap(part => validateAgainstSchema(part, value, location));
+  }
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [`${location}: must not be null`];
+  }
+  
+  const actualType = Array.isArray(value) ? 'array'
+    : Number.isInteger(value) ? 'integer'
+      : typeof value;
+  const typeMatches = !schema.type
+    || schema.type === actualType
+    || (schema.type === 'number' && actualType === 'integer');
+  if (!typeMatches) {
+    return [`${location}: expected ${schema.type} but got ${actualType}`];
+  }
+  
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    errors.push(`${location}: must be a date-time string`);
+  }
+  if (actualType === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) {
+        errors.push(`${location}.${field}: is required`);
+      }
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) {
+        errors.push(...validateAgainstSchema(fieldSchema, value[field], `${location}.${field}`));
+      }
+    }
+  }
+  if (actualType === 'array' && schema.items) {
+    value.forEach((entry, index) => {
+      errors.push(...validateAgainstSchema(schema.items, entry, `${location}[${index}]`));
+    });
+  }
+  
+  return errors;
+};
+
+/**
+ * Find the declared response schema for a request
+ * Error statuses fall back to the shared Error schema; routes and statuses
+ * that were never declared have no schema.
+ * 
+ * @param {Object} req - Express request object (after routing)
+ * @param {number} statusCode - Response status code
+ * @returns {Object|null} Declared schema, or null if none
+ */
+const findResponseSchema = (req, statusCode) => {
+  const docs = req.route ? ROUTE_DOCS[`${req.method} ${req.route.path}`] : null;
+  
+  if (docs && docs.responses && docs.responses[statusCode]) {
+    return docs.responses[statusCode];
+  }
+  return statusCode >= 400 ? OPENAPI_SCHEMAS.Error : null;
+};
+
+/** Descriptions for list query parameters whose chains only use custom validators */
+const LIST_QUERY_DESCRIPTIONS = {
+  cursor: 'Opaque nextCursor/prevCursor value from a previous response; cannot be combined with page',
+  sort: 'Comma-separated fields, prefixed with "-" for descending order (e.g. name,-createdAt)',
+  fields: 'Comma-separated sparse fieldset (e.g. id,name)',
+  filter: 'Filter as field=value or field[operator]=value (operators: eq, ne, contains, startsWith, gt, gte, lt, lte)'
+};
+
+/**
+ * Translate a checkSchema field definition into a JSON Schema
+ * Recognizes the standard validators used in this file; custom validators
+ * are described by their messages only.
+ * 
+ * @param {string} field - Field name
+ * @param {Object} definition - checkSchema field definition
+ * @returns {{schema: Object, required: boolean}} Field schema and whether it is required
+ */
+const schemaFromField = (field, definition) => {
+  const schema = { type: 'string' };
+  const messages = [];
+  
+  for (const [name, rule] of Object.entries(definition)) {
+    if (!rule || rule === true || name === 'in' || name === 'optional') continue;
+    if (rule.errorMessage && !messages.includes(rule.errorMessage)) {
+      messages.push(rule.errorMessage);
+    }
+    
+    const [options] = [].concat(rule.options);
+    switch (name) {
+      case 'isInt':
+        schema.type = 'integer';
+        if (options && options.min !== undefined) schema.minimum = options.min;
+        if (options && options.max !== undefined) schema.maximum = options.max;
+        break;
+      case 'isLength':
+        if (options && options.min !== undefined) schema.minLength = options.min;
+        if (options && options.max !== undefined) schema.maxLength = options.max;
+        break;
+      case 'notEmpty':
+        if (schema.minLength === undefined) schema.minLength = 1;
+        break;
+      case 'matches':
+        schema.pattern = options instanceof RegExp ? options.source : String(options);
+        break;
+      case 'isEmail':
+        schema.format = 'email';
+        break;
+      case 'isIn':
+        schema.enum = options;
+        break;
+      default:
+        break;
+    }
+  }
+  
+  if (schema.type === 'integer') {
+    delete schema.minLength;
+    delete schema.maxLength;
+  }
+  
+  const description = messages.length > 0 ? messages.join('. ') : LIST_QUERY_DESCRIPTIONS[field];
+  if (description) {
+    schema.description = description;
+  } else if (definition.in.includes('query')) {
+    schema.description = LIST_QUERY_DESCRIPTIONS.filter;
+  }
+  
+  return { schema, required: !definition.optional };
+};
+
+/**
+ * Build the OpenAPI operation object for a route
+ * 
+ * @param {Object} route - Entry of routeTable
+ * @returns {Object} OpenAPI operation
+ */
+const buildOperation = (route) => {
+  const docs = ROUTE_DOCS[route.key] || {};
+  const roles = ROUTE_ROLES[route.key];
+  const segments = route.path.split('/').filter(Boolean);
+  const tag = segments[0] === 'api' && segments[1] ? segments[1] : 'general';
+  
+  const operation = {
+    tags: [tag.charAt(0).toUpperCase() + tag.slice(1)],
+    summary: docs.summary || route.key,
+    parameters: [],
+    responses: {}
+  };
+  
+  const bodySchema = { type: 'object', properties: {}, required: [] };
+  for (const [field, definition] of Object.entries(route.fields)) {
+    // Wildcard definitions check the whole query rather than one parameter
+    if (field === '*') continue;
+    const { schema, required } = schemaFromField(field, definition);
+    
+    for (const location of definition.in) {
+      if (location === 'body') {
+        bodySchema.properties[field] = schema;
+        if (required) bodySchema.required.push(field);
+      } else if (location === 'params' || location === 'query') {
+        operation.parameters.push({
+          name: field,
+          in: location === 'params' ? 'path' : 'query',
+          required: location === 'params' || required,
+          schema
+        });
+      }
+    }
+  }
+  
+  if (IDEMPOTENT_KEY_METHODS.includes(route.method)) {
+    operation.parameters.push({
+      name: 'Idempotency-Key',
+      in: 'header',
+      required: false,
+      description: 'Retries with the same key replay the first response',
+      schema: { type: 'string', maxLength: 255 }
+    });
+  }
+  
+  if ((docs.errors || []).includes(428)) {
+    operation.parameters.push({
+      name: 'If-Match',
+      in: 'header',
+      required: true,
+      description: 'ETag of the version being changed, or * for any version',
+      schema: { type: 'string' }
+    });
+  }
+  
+  if (Object.keys(bodySchema.properties).length > 0) {
+    if (bodySchema.required.length === 0) delete bodySchema.required;
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: bodySchema } }
+    };
+  } else if (docs.consumes) {
+    operation.requestBody = {
+      required: true,
+      content: Object.fromEntries(docs.consumes.map(type => [type, { schema: { type: 'string' } }]))
+    };
+  }
+  
+  if (roles) {
+    operation.security = [{ bearerAuth: [] }];
+    operation['x-required-roles'] = roles;
+    operation.description = `Requires one of the roles: ${roles.join(', ')}`;
+  }
+  
+  for (const [status, schema] of Object.entries(docs.responses || { 200: { type: 'object' } })) {
+    operation.responses[status] = {
+      description: status < 400 ? 'Success' : ERROR_DESCRIPTIONS[status],
+      // Non-JSON representations are described as plain strings
+      content: Object.fromEntries(((status < 400 && docs.produces) || DEFAULT_PRODUCES)
+        .map(type => [type, { schema: type === MEDIA_TYPES.json ? schema : { type: 'string' } }]))
+    };
+  }
+  
+  const errorStatuses = new Set(docs.errors || []);
+  if (Object.keys(route.fields).length > 0) errorStatuses.add(400);
+  if (roles) {
+    errorStatuses.add(401);
+    errorStatuses.add(403);
+  }
+  if (route.path.includes(':')) errorStatuses.add(404);
+  if (CONFIG.ROUTE_RATE_LIMITS[route.key]) errorStatuses.add(429);
+  if (routeTimeoutFor(route.key) > 0) errorStatuses.add(504);
+  if (IDEMPOTENT_KEY_METHODS.includes(route.method)) {
+    errorStatuses.add(409);
+    errorStatuses.add(422);
+  }
+  
+  for (const status of [...errorStatuses].sort((a, b) => a - b)) {
+    if (operation.responses[status]) continue;
+    operation.responses[status] = {
+      description: ERROR_DESCRIPTIONS[status] || 'Error',
+      content: { 'application/json': { schema: schemaRef('Error') } }
+    };
+  }
+  
+  return operation;
+};
+
+/**
+ * Generate the OpenAPI 3 document from the live route table
+ * @returns {Object} OpenAPI document
+ */
+const buildOpenApiSpec = () => {
+  const paths = {};
+  
+  for (const route of routeTable) {
+    const openApiPath = route.path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = buildOperation(route);
+  }
+  
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Robust Node.js Server API',
+      version: '1.0.0'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      schemas: OPENAPI_SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+};
+
+/**
+ * Self-contained HTML viewer for the OpenAPI document
+ * No external assets, so it works offline; it loads /api/docs/openapi.json,
+ * lists every operation and can send requests with an optional bearer token.
+ */
+const DOCS_VIEWER_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Robust Node.js Server API</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0 auto; max-width: 960px; padding: 1rem; color: #222; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ddd; }
+  details { border: 1px solid #ddd; border-radius: 4px; margin: 0.5rem 0; }
+  summary { cursor: pointer; padding: 0.5rem; }
+  .method { display: inline-block; width: 4.5rem; font-weight: bold; font-family: monospace; }
+  .get { color: #1769aa; } .post { color: #2e7d32; } .put, .patch { color: #a86b00; } .delete { color: #c62828; }
+  .roles { color: #666; font-size: 0.85rem; margin-left: 0.5rem; }
+  .body { padding: 0 1rem 1rem; }
+  pre { background: #f6f8fa; padding: 0.5rem; overflow: auto; font-size: 0.8rem; }
+  label { display: block; margin: 0.25rem 0; font-size: 0.9rem; }
+  input, textarea { font-family: monospace; width: 100%; box-sizing: border-box; }
+  textarea { min-height: 6rem; }
+</style>
+</head>
+<body>
+<h1>Robust Node.js Server API</h1>
+<label>Bearer token <input id="token" placeholder="Paste an access token from POST /api/auth/login"></label>
+<div id="operations">Loading /api/docs/openapi.json&hellip;</div>
+<script>
+(function () {
+  var tokenInput = document.getElementById('token');
+  tokenInput.value = localStorage.getItem('apiDocsToken') || '';
+  tokenInput.addEventListener('change', function () { localStorage.setItem('apiDocsToken', tokenInput.value); });
+
+  function el(tag, attrs, text) {
+    var node = document.createElement(tag);
+    Object.keys(attrs || {}).forEach(function (name) { node.setAttribute(name, attrs[name]); });
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function renderOperation(path, method, op) {
+    var details = el('details');
+    var summary = el('summary');
+    summary.appendChild(el('span', { 'class': 'method ' + method }, method.toUpperCase()));
+    summary.appendChild(document.createTextNode(path + ' \\u2014 ' + op.summary));
+    if (op['x-required-roles']) summary.appendChild(el('span', { 'class': 'roles' }, 'roles: ' + op['x-required-roles'].join(', ')));
+    details.appendChild(summary);
+
+    var body = el('div', { 'class': 'body' });
+    var inputs = {};
+    (op.parameters || []).forEach(function (param) {
+      var label = el('label', {}, param.in + ' ' + param.name + (param.required ? ' (required)' : ''));
+      var input = el('input', { placeholder: param.schema.description || '' });
+      label.appendChild(input);
+      body.appendChild(label);
+      inputs[param.name] = { param: param, input: input };
+    });
+    var bodyInput = null;
+    if (op.requestBody) {
+      var schema = op.requestBody.content['application/json'].schema;
+      var example = {};
+      Object.keys(schema.properties).forEach(function (name) { example[name] = ''; });
+      var bodyLabel = el('label', {}, 'JSON body');
+      bodyInput = el('textarea');
+      bodyInput.value = JSON.stringify(example, null, 2);
+      bodyLabel.appendChild(bodyInput);
+      body.appendChild(bodyLabel);
+    }
+    var output = el('pre', {}, '');
+    var send = el('button', { type: 'button' }, 'Send request');
+    send.addEventListener('click', function () {
+      var url = path;
+      var search = new URLSearchParams();
+      Object.keys(inputs).forEach(function (name) {
+        var value = inputs[name].input.value;
+        if (inputs[name].param.in === 'path') url = url.replace('{' + name + '}', encodeURIComponent(value));
+        else if (value !== '') search.append(name, value);
+      });
+      if (String(search)) url += '?' + search;
+      var headers = { 'Accept': 'application/json' };
+      if (tokenInput.value) headers.Authorization = 'Bearer ' + tokenInput.value;
+      var init = { method: method.toUpperCase(), headers: headers };
+      if (bodyInput) { headers['Content-Type'] = 'application/json'; init.body = bodyInput.value; }
+      output.textContent = 'Sending\\u2026';
+      fetch(url, init).then(function (res) {
+        return res.text().then(function (text) {
+          try { text = JSON.stringify(JSON.parse(text), null, 2); } catch (e) { /* not JSON */ }
+          output.textContent = res.status + ' ' + res.statusText + '\\n\\n' + text;
+        });
+      }).catch(function (err) { output.textContent = String(err); });
+    });
+    body.appendChild(send);
+    body.appendChild(output);
+    var responses = el('pre', {}, 'Responses: ' + Object.keys(op.responses).join(', '));
+    body.appendChild(responses);
+    details.appendChild(body);
+    return details;
+  }
+
+  fetch('/api/docs/openapi.json').then(function (res) { return res.json(); }).then(function (spec) {
+    var container = document.getElementById('operations');
+    container.textContent = '';
+    var groups = {};
+    Object.keys(spec.paths).forEach(function (path) {
+      Object.keys(spec.paths[path]).forEach(function (method) {
+        var op = spec.paths[path][method];
+        var tag = op.tags[0];
+        (groups[tag] = groups[tag] || []).push(renderOperation(path, method, op));
+      });
+    });
+    Object.keys(groups).forEach(function (tag) {
+      container.appendChild(el('h2', {}, tag));
+      groups[tag].forEach(function (node) { container.appendChild(node); });
+    });
+  }).catch(function (err) {
+    document.getElementById('operations').textContent = 'Failed to load the OpenAPI document: ' + err;
+  });
+})();
+</script>
+</body>
+</html>
+`;
+
+// =============================================================================
+// API ROUTES WITH VALIDATION
+// =============================================================================
+
+/**
+ * Health check endpoint
+ * Summary report kept for existing monitors; orchestrators should use the
+ * dedicated /health/live, /health/ready and /health/startup probes
+ * 
+ * @route GET /health
+ * @returns {Object} Health status with uptime and timestamp
+ */
+defineRoute('get', '/health', (req, res) => {
+  const healthData = {
+    status: resources.isShuttingDown ? 'shutting_down' : 'healthy',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: CONFIG.NODE_ENV,
+    memoryUsage: {
+      heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB',
+      heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024) + ' MB'
+    }
+  };
+  
   const statusCode = resources.isShuttingDown ? 503 : 200;
   res.status(statusCode).json(healthData);
 });
 
+/**
+ * Liveness probe
+ * Succeeds while the process can serve requests at all; a failure tells the
+ * orchestrator to restart the container
+ * 
+ * @route GET /health/live
+ * @returns {Object} Liveness status with uptime
+ */
+defineRoute('get', '/health/live', (req, res) => {
+  res.status(200).json({
+    status: 'alive',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Readiness probe
+ * Aggregates the registered dependency checks. Reports not ready as soon as
+ * graceful shutdown begins so load balancers stop routing here first.
+ * 
+ * @route GET /health/ready
+ * @returns {Object} Readiness status with per-check results (503 when not ready)
+ */
+defineRoute('get', '/health/ready', async (req, res, next) => {
+  try {
+    if (resources.isShuttingDown) {
+      return res.status(503).json({
+        status: 'not_ready',
+        reason: 'Server is shutting down',
+        checks: {},
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const { ready, checks } = await runHealthChecks();
+    
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      checks,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Startup probe
+ * Succeeds once the server is listening; liveness and readiness probes are
+ * only consulted after this passes
+ * 
+ * @route GET /health/startup
+ * @returns {Object} Startup status (503 until the server has started)
+ */
+defineRoute('get', '/health/startup', (req, res) => {
+  res.status(resources.hasStarted ? 200 : 503).json({
+    status: resources.hasStarted ? 'started' : 'starting',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
+
 /**
  * Root endpoint
  * Returns welcome message and server information
@@ -289,16 +4565,29 @@ app.get('/health', (req, res) => {
  * @route GET /
  * @returns {Object} Welcome message with server info
  */
-app.get('/', (req, res) => {
+defineRoute('get', '/', (req, res) => {
   res.status(200).json({
     message: 'Welcome to the Robust Node.js Server',
     version: '1.0.0',
     documentation: '/api/docs',
     health: '/health',
+    metrics: '/metrics',
     timestamp: new Date().toISOString()
   });
 });
 
+/**
+ * Metrics endpoint
+ * Exposes request counters, latency histograms and process gauges for Prometheus
+ * 
+ * @route GET /metrics
+ * @returns {string} Metrics in the Prometheus text exposition format
+ */
+defineRoute('get', '/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(renderMetrics());
+});
+
 /**
  * User registration endpoint
  * Creates a new user with validated input
@@ -309,122 +4598,729 @@ app.get('/', (req, res) => {
  * @param {string} password - User's password (min 8 chars, mixed case + number)
  * @returns {Object} Created user data (without password)
  */
-app.post('/api/users', 
+defineRoute('post', '/api/users', 
+  limitRate,
   validateUserRegistration,
   handleValidationErrors,
+  async (req, res, next) => {
+    const { username, email, password } = req.body;
+    const now = new Date().toISOString();
+    
+    try {
+      const newUser = toPublicUser(await userStore.insert({
+        username,
+        email,
+        passwordHash: await hashPassword(password),
+        role: DEFAULT_ROLE,
+        createdAt: now,
+        updatedAt: now
+      }));
+      
+      log.user.info('New user registered', { userId: newUser.id, username });
+      
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        data: newUser
+      });
+    } catch (error) {
+      if (error.code === 'ECONFLICT') {
+        return sendConflict(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+/** Queryable fields of the user collection and their types */
+const USER_FIELDS = {
+  id: 'number',
+  username: 'string',
+  email: 'string',
+  role: 'string',
+  createdAt: 'date'
+};
+
+/**
+ * List users endpoint
+ * Returns registered users with validated pagination parameters
+ * Requires the admin role
+ * 
+ * @route GET /api/users
+ * @query {number} [page=1] - Page number (positive integer)
+ * @query {number} [limit=10] - Users per page (1-100)
+ * @query {string} [cursor] - Cursor from a previous response (replaces page)
+ * @query {string} [sort] - Comma-separated fields, prefix with '-' for descending
+ * @query {string} [fields] - Comma-separated sparse fieldset
+ * @returns {Object} Paginated users with metadata
+ */
+defineRoute('get', '/api/users',
+  requireAuth,
+  authorize,
+  limitRate,
+  validatePagination,
+  validateListQuery(USER_FIELDS),
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const { items } = await userStore.list();
+      
+      sendList(req, res, paginateList(req, res, items.map(toPublicUser), USER_FIELDS));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get user by ID endpoint
+ * Requires authentication; users may only read their own account unless
+ * they are admins
+ * 
+ * @route GET /api/users/:id
+ * @param {number} id - User ID (positive integer)
+ * @returns {Object} User data
+ */
+defineRoute('get', '/api/users/:id',
+  requireAuth,
+  authorize,
+  validateUserId,
+  handleValidationErrors,
+  requireSelfOrAdmin,
+  async (req, res, next) => {
+    try {
+      const user = await userStore.findById(req.params.id);
+      
+      if (!user) {
+        return sendNotFound(res, `User ${req.params.id} not found`);
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: toPublicUser(user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Partial user update endpoint
+ * Only the supplied fields are validated and changed
+ * Requires authentication; users may only update their own account unless
+ * they are admins, and only admins may change roles
+ * 
+ * @route PATCH /api/users/:id
+ * @param {number} id - User ID (positive integer)
+ * @param {string} [username] - New username
+ * @param {string} [email] - New email address
+ * @param {string} [password] - New password
+ * @param {string} [role] - New role (admin only)
+ * @returns {Object} Updated user data (without password)
+ */
+defineRoute('patch', '/api/users/:id',
+  requireAuth,
+  authorize,
+  validateUserId,
+  validateUserUpdate,
+  handleValidationErrors,
+  requireSelfOrAdmin,
+  async (req, res, next) => {
+    if (req.body.role !== undefined && req.user.role !== 'admin') {
+      return sendError(res, 403, 'Forbidden', 'Only admins may change user roles');
+    }
+    
+    const changes = {};
+    for (const field of ['username', 'email', 'role']) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+    changes.updatedAt = new Date().toISOString();
+    
+    try {
+      if (req.body.password !== undefined) {
+        changes.passwordHash = await hashPassword(req.body.password);
+      }
+      
+      const user = await userStore.update(req.params.id, changes);
+      
+      if (!user) {
+        return sendNotFound(res, `User ${req.params.id} not found`);
+      }
+      
+      log.user.info('User updated', { userId: user.id, username: user.username });
+      
+      res.status(200).json({
+        success: true,
+        message: 'User updated successfully',
+        data: toPublicUser(user)
+      });
+    } catch (error) {
+      if (error.code === 'ECONFLICT') {
+        return sendConflict(res, error);
+      }
+      next(error);
+    }
+  }
+);
+
+/**
+ * Delete user endpoint
+ * Requires the admin role
+ * 
+ * @route DELETE /api/users/:id
+ * @param {number} id - User ID (positive integer)
+ * @returns {Object} Deleted user data
+ */
+defineRoute('delete', '/api/users/:id',
+  requireAuth,
+  authorize,
+  validateUserId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await userStore.findById(req.params.id);
+      
+      if (!user || !(await userStore.remove(user.id))) {
+        return sendNotFound(res, `User ${req.params.id} not found`);
+      }
+      
+      log.user.info('User deleted', { userId: user.id, username: user.username });
+      
+      res.status(200).json({
+        success: true,
+        message: 'User deleted successfully',
+        data: toPublicUser(user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Login endpoint
+ * Exchanges valid credentials for an access/refresh token pair
+ * 
+ * @route POST /api/auth/login
+ * @param {string} username - Username or email address
+ * @param {string} password - User's password
+ * @returns {Object} Token pair and public user data
+ */
+defineRoute('post', '/api/auth/login',
+  limitRate,
+  validateLogin,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const user = await findUserByCredentials(req.body.username, req.body.password);
+      
+      if (!user) {
+        return sendError(res, 401, 'Unauthorized', 'Invalid username or password');
+      }
+      
+      log.auth.info('User logged in', { userId: user.id, username: user.username });
+      
+      res.status(200).json({
+        success: true,
+        data: { ...issueTokens(user), user: toPublicUser(user) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Token refresh endpoint
+ * Rotates a refresh token: the presented token is revoked and a new pair issued.
+ * Refresh tokens issued before the user's last password change are rejected.
+ * 
+ * @route POST /api/auth/refresh
+ * @param {string} refreshToken - Refresh token from login or a previous refresh
+ * @returns {Object} New token pair
+ */
+defineRoute('post', '/api/auth/refresh',
+  limitRate,
+  validateRefreshToken(false),
+  handleValidationErrors,
+  async (req, res, next) => {
+    let payload;
+    try {
+      payload = verifyToken(req.body.refreshToken, 'refresh');
+    } catch (error) {
+      return sendError(res, 401, 'Unauthorized', error.message);
+    }
+    
+    // Revoke before awaiting anything so concurrent refreshes cannot both pass
+    revokeToken(payload);
+    
+    try {
+      const user = await userStore.findById(payload.sub);
+      
+      if (!user) {
+        return sendError(res, 401, 'Unauthorized', 'User no longer exists');
+      }
+      if (payload.stamp !== credentialStamp(user)) {
+        return sendError(res, 401, 'Unauthorized', 'Token has been revoked');
+      }
+      
+      res.status(200).json({
+        success: true,
+        data: issueTokens(user)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Logout endpoint
+ * Revokes the current access token and, if supplied, the user's refresh token
+ * 
+ * @route POST /api/auth/logout
+ * @param {string} [refreshToken] - Refresh token to revoke as well
+ * @returns {Object} Confirmation message
+ */
+defineRoute('post', '/api/auth/logout',
+  requireAuth,
+  authorize,
+  validateRefreshToken(true),
+  handleValidationErrors,
   (req, res) => {
-    const { username, email } = req.body;
-    
-    // Simulate user creation (in production, this would save to database)
-    const newUser = {
-      id: Math.floor(Math.random() * 10000) + 1,
-      username,
-      email,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    revokeToken(req.auth);
     
-    console.log(`[USER] New user registered: ${username}`);
+    if (req.body.refreshToken !== undefined) {
+      try {
+        const refresh = verifyToken(req.body.refreshToken, 'refresh');
+        if (refresh.sub === req.auth.sub) {
+          revokeToken(refresh);
+        }
+      } catch (error) {
+        // An unusable refresh token needs no revocation
+      }
+    }
     
-    res.status(201).json({
+    log.auth.info('User logged out', { userId: req.user.id, username: req.user.username });
+    
+    res.status(200).json({
       success: true,
-      message: 'User created successfully',
-      data: newUser
+      message: 'Logged out successfully'
     });
   }
 );
 
 /**
- * Get resource by ID endpoint
- * Retrieves a resource with validated ID parameter
+ * Compute the ETag for a versioned record
+ * @param {Object} record - Record with a `version` field
+ * @returns {string} Strong entity tag
+ */
+const etagFor = (record) => `"${record.version || 0}"`;
+
+/**
+ * Require an If-Match header on resource writes
+ * Writes without one could silently overwrite another client's change, so
+ * they are refused with 428; clients that really want to overwrite send `*`.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireIfMatch = (req, res, next) => {
+  if (!req.get('If-Match')) {
+    return sendError(res, 428, 'Precondition Required', 'This request requires an If-Match header');
+  }
+  next();
+};
+
+/**
+ * Build a store precondition from the request's If-Match header
+ * Uses strong comparison, so weak tags (W/"...") never match
+ * 
+ * @param {Object} req - Express request object (requireIfMatch has run)
+ * @returns {Function} Precondition for store.update/remove
+ */
+const ifMatchPrecondition = (req) => {
+  const tags = req.get('If-Match').split(',').map(tag => tag.trim());
+  return (record) => tags.includes('*') || tags.includes(etagFor(record));
+};
+
+/**
+ * Send a resource with its ETag
+ * 
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} resource - Stored resource
+ * @param {string} [message] - Optional success message
+ */
+const sendResource = (res, statusCode, resource, message) => {
+  res.setHeader('ETag', etagFor(resource));
+  res.status(statusCode).json({
+    success: true,
+    ...(message && { message }),
+    data: resource
+  });
+};
+
+/**
+ * Handle store errors from resource writes
+ * Conflicting versions become 412 responses; anything else goes to the error middleware
+ * 
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @param {Error} error - Error raised by the store
+ */
+const handleResourceWriteError = (res, next, error) => {
+  if (error.code === 'EPRECONDITION') {
+    return sendError(res, 412, 'Precondition Failed', error.message);
+  }
+  next(error);
+};
+
+/**
+ * Create resource endpoint
+ * Requires the admin or editor role
+ * 
+ * @route POST /api/resources
+ * @param {string} name - Resource name (1-100 chars)
+ * @param {string} type - Resource type (letters, numbers, hyphens, underscores)
+ * @param {string} [status=active] - One of active, inactive, archived
+ * @returns {Object} Created resource, with its ETag header
+ */
+defineRoute('post', '/api/resources',
+  requireAuth,
+  authorize,
+  validateResource,
+  handleValidationErrors,
+  async (req, res, next) => {
+    const { name, type, status = 'active' } = req.body;
+    const now = new Date().toISOString();
+    
+    try {
+      const resource = await resourceStore.insert({
+        name,
+        type,
+        status,
+        createdBy: req.user.id,
+        createdAt: now,
+        updatedAt: now
+      });
+      
+      log.resource.info('Resource created', { resourceId: resource.id });
+      
+      res.setHeader('Location', `/api/resources/${resource.id}`);
+      sendResource(res, 201, resource, 'Resource created successfully');
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Bulk import resources endpoint
+ * Accepts a CSV document whose header names the columns (name, type and
+ * optionally status). Every row is validated with the same rules as
+ * POST /api/resources, then all rows are stored with one insertMany call,
+ * so an import either succeeds completely or changes nothing.
+ * Requires the admin or editor role
+ * 
+ * @route POST /api/resources/import
+ * @returns {Object} Created resources
+ */
+defineRoute('post', '/api/resources/import',
+  requireAuth,
+  authorize,
+  async (req, res, next) => {
+    try {
+      const records = parseCsv(req.body);
+      if (records.length === 0 || records.length > CSV_IMPORT_MAX_ROWS) {
+        return sendError(res, 400, 'Validation Error', `Imports must contain between 1 and ${CSV_IMPORT_MAX_ROWS} rows`);
+      }
+      
+      const rows = [];
+      const details = [];
+      for (const [index, record] of records.entries()) {
+        const rowRequest = { body: record };
+        for (const chain of validateResource) {
+          await chain.run(rowRequest);
+        }
+        validationResult(rowRequest).array().forEach(error => details.push({
+          field: `rows[${index}].${error.path}`,
+          message: error.msg,
+          value: error.value
+        }));
+        rows.push(rowRequest.body);
+      }
+      
+      if (details.length > 0) {
+        return sendError(res, 400, 'Validation Error', 'One or more rows failed validation', details);
+      }
+      
+      const now = new Date().toISOString();
+      const created = await resourceStore.insertMany(rows.map(({ name, type, status = 'active' }) => ({
+        name,
+        type,
+        status,
+        createdBy: req.user.id,
+        createdAt: now,
+        updatedAt: now
+      })));
+      
+      log.resource.info('Resources imported', { count: created.length });
+      
+      res.status(201).json({
+        success: true,
+        message: `Imported ${created.length} resources`,
+        data: created
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Get resource by ID endpoint
+ * Retrieves a resource with validated ID parameter
+ * Requires authentication
+ * 
+ * @route GET /api/resources/:id
+ * @param {number} id - Resource ID (positive integer)
+ * @returns {Object} Resource data, with its ETag header
+ */
+defineRoute('get', '/api/resources/:id',
+  requireAuth,
+  authorize,
+  validateResourceId,
+  handleValidationErrors,
+  async (req, res, next) => {
+    try {
+      const resource = await resourceStore.findById(req.params.id);
+      
+      if (!resource) {
+        return sendNotFound(res, `Resource ${req.params.id} not found`);
+      }
+      
+      sendResource(res, 200, resource);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * Replace resource endpoint
+ * Requires the admin or editor role and an If-Match header (optimistic concurrency)
+ * 
+ * @route PUT /api/resources/:id
+ * @param {number} id - Resource ID (positive integer)
+ * @param {string} name - Resource name
+ * @param {string} type - Resource type
+ * @param {string} [status=active] - One of active, inactive, archived
+ * @returns {Object} Replaced resource, with its new ETag header
+ */
+defineRoute('put', '/api/resources/:id',
+  requireAuth,
+  authorize,
+  validateResourceId,
+  validateResource,
+  handleValidationErrors,
+  requireIfMatch,
+  async (req, res, next) => {
+    const { name, type, status = 'active' } = req.body;
+    
+    try {
+      const resource = await resourceStore.update(
+        req.params.id,
+        { name, type, status, updatedAt: new Date().toISOString() },
+        ifMatchPrecondition(req)
+      );
+      
+      if (!resource) {
+        return sendNotFound(res, `Resource ${req.params.id} not found`);
+      }
+      
+      sendResource(res, 200, resource, 'Resource updated successfully');
+    } catch (error) {
+      handleResourceWriteError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Partial resource update endpoint
+ * Requires the admin or editor role and an If-Match header (optimistic concurrency)
+ * 
+ * @route PATCH /api/resources/:id
+ * @param {number} id - Resource ID (positive integer)
+ * @param {string} [name] - New name
+ * @param {string} [type] - New type
+ * @param {string} [status] - New status
+ * @returns {Object} Updated resource, with its new ETag header
+ */
+defineRoute('patch', '/api/resources/:id',
+  requireAuth,
+  authorize,
+  validateResourceId,
+  validateResourceUpdate,
+  handleValidationErrors,
+  requireIfMatch,
+  async (req, res, next) => {
+    const changes = {};
+    for (const field of ['name', 'type', 'status']) {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field];
+      }
+    }
+    changes.updatedAt = new Date().toISOString();
+    
+    try {
+      const resource = await resourceStore.update(req.params.id, changes, ifMatchPrecondition(req));
+      
+      if (!resource) {
+        return sendNotFound(res, `Resource ${req.params.id} not found`);
+      }
+      
+      sendResource(res, 200, resource, 'Resource updated successfully');
+    } catch (error) {
+      handleResourceWriteError(res, next, error);
+    }
+  }
+);
+
+/**
+ * Delete resource endpoint
+ * Requires the admin or editor role and an If-Match header (optimistic concurrency)
  * 
- * @route GET /api/resources/:id
+ * @route DELETE /api/resources/:id
  * @param {number} id - Resource ID (positive integer)
- * @returns {Object} Resource data
+ * @returns {Object} Deleted resource data
  */
-app.get('/api/resources/:id',
+defineRoute('delete', '/api/resources/:id',
+  requireAuth,
+  authorize,
   validateResourceId,
   handleValidationErrors,
-  (req, res) => {
-    const { id } = req.params;
-    
-    // Simulate resource lookup (in production, this would query database)
-    const resource = {
-      id: parseInt(id, 10),
-      name: `Resource ${id}`,
-      type: 'example',
-      status: 'active',
-      createdAt: new Date().toISOString()
-    };
-    
-    res.status(200).json({
-      success: true,
-      data: resource
-    });
+  requireIfMatch,
+  async (req, res, next) => {
+    try {
+      const resource = await resourceStore.findById(req.params.id);
+      
+      if (!resource || !(await resourceStore.remove(resource.id, ifMatchPrecondition(req)))) {
+        return sendNotFound(res, `Resource ${req.params.id} not found`);
+      }
+      
+      log.resource.info('Resource deleted', { resourceId: resource.id });
+      
+      res.status(200).json({
+        success: true,
+        message: 'Resource deleted successfully',
+        data: resource
+      });
+    } catch (error) {
+      handleResourceWriteError(res, next, error);
+    }
   }
 );
 
+/** Queryable fields of the sample item collection and their types */
+const ITEM_FIELDS = {
+  id: 'number',
+  name: 'string',
+  createdAt: 'date'
+};
+
+/** Sample item collection: 100 items created an hour apart from 2024-01-01 */
+const SAMPLE_ITEMS = Array.from({ length: 100 }, (_, index) => ({
+  id: index + 1,
+  name: `Item ${index + 1}`,
+  createdAt: new Date(Date.UTC(2024, 0, 1) + index * 3600000).toISOString()
+}));
+
 /**
  * Get paginated items list endpoint
- * Returns items with validated pagination parameters
+ * Returns items with validated pagination, filter, sort and field parameters
  * 
  * @route GET /api/items
  * @query {number} [page=1] - Page number (positive integer)
  * @query {number} [limit=10] - Items per page (1-100)
+ * @query {string} [cursor] - Cursor from a previous response (replaces page)
+ * @query {string} [sort] - Comma-separated fields, prefix with '-' for descending (e.g. name,-createdAt)
+ * @query {string} [fields] - Comma-separated sparse fieldset (e.g. id,name)
+ * @query {string} [field[operator]] - Filters such as name[contains]=4 or createdAt[gte]=2024-01-02
  * @returns {Object} Paginated items with metadata
  */
-app.get('/api/items',
+defineRoute('get', '/api/items',
   validatePagination,
+  validateListQuery(ITEM_FIELDS),
   handleValidationErrors,
   (req, res) => {
-    const page = req.query.page || 1;
-    const limit = req.query.limit || 10;
-    const offset = (page - 1) * limit;
-    
-    // Simulate database query with pagination
-    const totalItems = 100;
-    const totalPages = Math.ceil(totalItems / limit);
-    
-    const items = [];
-    for (let i = 0; i < limit && (offset + i) < totalItems; i++) {
-      items.push({
-        id: offset + i + 1,
-        name: `Item ${offset + i + 1}`,
-        createdAt: new Date().toISOString()
-      });
-    }
-    
-    res.status(200).json({
-      success: true,
-      data: items,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems,
-        limit,
-        hasNextPage: page < totalPages,
-        hasPreviousPage: page > 1
-      }
-    });
+    sendList(req, res, paginateList(req, res, SAMPLE_ITEMS, ITEM_FIELDS));
   }
 );
 
 /**
- * API documentation endpoint placeholder
+ * API documentation endpoint
+ * Browsers (Accept: text/html) get the interactive viewer; other clients get a
+ * JSON summary generated from the route table, listing the roles allowed to
+ * call each endpoint (null for public routes)
  * 
  * @route GET /api/docs
- * @returns {Object} Documentation information
+ * @returns {Object|string} Documentation summary or HTML viewer
+ */
+defineRoute('get', '/api/docs', (req, res) => {
+  res.format({
+    'application/json': () => {
+      res.status(200).json({
+        message: 'API Documentation',
+        openapi: '/api/docs/openapi.json',
+        endpoints: routeTable.map(route => ({
+          method: route.method,
+          path: route.path,
+          description: (ROUTE_DOCS[route.key] || {}).summary || route.key,
+          requiredRoles: ROUTE_ROLES[route.key] || null
+        }))
+      });
+    },
+    'text/html': () => {
+      // The inline script and styles carry the CSP nonce of this response
+      res.status(200).type('html').send(DOCS_VIEWER_HTML.replace(/<(script|style)>/g, `<$1 nonce="${res.locals.cspNonce}">`));
+    }
+  });
+});
+
+/**
+ * OpenAPI document endpoint
+ * Generated on each request from the registered routes and their validation chains
+ * 
+ * @route GET /api/docs/openapi.json
+ * @returns {Object} OpenAPI 3 document
+ */
+defineRoute('get', '/api/docs/openapi.json', (req, res) => {
+  res.status(200).json(buildOpenApiSpec());
+});
+
+/**
+ * Effective configuration endpoint (admin only)
+ * Reports every setting after layering, with secrets redacted, and whether
+ * each came from the defaults, the config file or the environment
+ * 
+ * @route GET /api/admin/config
+ * @returns {Object} Redacted settings and their sources
  */
-app.get('/api/docs', (req, res) => {
+defineRoute('get', '/api/admin/config', requireAuth, authorize, (req, res) => {
+  const config = {};
+  for (const [key, value] of Object.entries(CONFIG)) {
+    const spec = CONFIG_SCHEMA[key] || {};
+    config[key] = spec.sensitive || isSensitiveKey(key) ? REDACTED : value;
+  }
+  
   res.status(200).json({
-    message: 'API Documentation',
-    endpoints: [
-      { method: 'GET', path: '/', description: 'Welcome message' },
-      { method: 'GET', path: '/health', description: 'Health check' },
-      { method: 'POST', path: '/api/users', description: 'Create user' },
-      { method: 'GET', path: '/api/resources/:id', description: 'Get resource by ID' },
-      { method: 'GET', path: '/api/items', description: 'Get paginated items' }
-    ]
+    success: true,
+    data: { config, sources: CONFIG_SOURCES }
   });
 });
 
@@ -437,12 +5333,7 @@ app.get('/api/docs', (req, res) => {
  * Must be placed after all defined routes
  */
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`,
-    timestamp: new Date().toISOString()
-  });
+  sendNotFound(res, `Route ${req.method} ${req.path} not found`);
 });
 
 // =============================================================================
@@ -460,11 +5351,18 @@ app.use((req, res) => {
  * @param {Function} next - Express next middleware function
  */
 app.use((err, req, res, next) => {
-  // Log error details for debugging
-  console.error(`[${new Date().toISOString()}] ERROR:`, {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
+  // The route overran its deadline and was already answered; its late reply fails here
+  if (req.timedOut) {
+    log.http.warn('Dropped response of a timed-out request', { method: req.method, path: req.path, error: err.message });
+    return;
+  }
+  
+  // Log error details for debugging (sensitive fields, including query
+  // parameters, are redacted by the logger; the raw URL is never logged)
+  log.http.error('Request failed', {
+    requestId: req.id,
+    error: err,
+    path: req.path,
     method: req.method,
     body: req.body,
     params: req.params,
@@ -482,6 +5380,7 @@ app.use((err, req, res, next) => {
     message: CONFIG.NODE_ENV === 'production' && !isOperationalError
       ? 'An unexpected error occurred'
       : err.message,
+    requestId: req.id,
     timestamp: new Date().toISOString()
   };
   
@@ -505,50 +5404,258 @@ app.use((err, req, res, next) => {
 /** HTTP server instance - initialized during startup */
 let server = null;
 
+/** Plain-HTTP listener redirecting to HTTPS - started when CONFIG.HTTP_REDIRECT_PORT is set */
+let redirectServer = null;
+
+/**
+ * Get the accessors and methods an HTTP/2 compatibility class defines
+ * @param {Function} compatClass - Http2ServerRequest or Http2ServerResponse
+ * @returns {Object} Property descriptors, without the constructor
+ */
+const compatDescriptors = (compatClass) => {
+  const { constructor, ...descriptors } = Object.getOwnPropertyDescriptors(compatClass.prototype);
+  return descriptors;
+};
+
+/**
+ * Express re-parents each request and response onto its HTTP/1 prototypes,
+ * which hides the HTTP/2 compatibility accessors (headers, url, statusCode...).
+ * Copying those onto the objects themselves keeps them reachable.
+ */
+const HTTP2_REQUEST_PROPERTIES = compatDescriptors(http2.Http2ServerRequest);
+const HTTP2_RESPONSE_PROPERTIES = compatDescriptors(http2.Http2ServerResponse);
+
 /**
- * Create and configure the HTTP server
- * Sets up connection tracking for graceful shutdown
+ * Pass a request from the HTTP/2 server to Express
+ * HTTP/1.1 fallback requests are regular IncomingMessages and go straight through.
  * 
- * @returns {http.Server} Configured HTTP server instance
+ * @param {http2.Http2ServerRequest|http.IncomingMessage} req - Request
+ * @param {http2.Http2ServerResponse|http.ServerResponse} res - Response
  */
-function createServer() {
-  const http = require('http');
-  server = http.createServer(app);
+function handleHttp2Request(req, res) {
+  if (req.httpVersionMajor === 2) {
+    Object.defineProperties(req, HTTP2_REQUEST_PROPERTIES);
+    Object.defineProperties(res, HTTP2_RESPONSE_PROPERTIES);
+    
+    // HTTP/2 bodies need no Content-Length; without one the body parsers assume there is no body
+    if (!req.stream.endAfterHeaders && req.headers['content-length'] === undefined) {
+      req.headers['transfer-encoding'] = 'chunked';
+    }
+  }
+  app(req, res);
+}
+
+/**
+ * Read the TLS certificate, key and client CA files
+ * @returns {Object|null} Secure context options, or null when TLS is not configured
+ */
+function readTlsFiles() {
+  if (!CONFIG.TLS_CERT_FILE) {
+    return null;
+  }
+  return {
+    cert: fs.readFileSync(CONFIG.TLS_CERT_FILE),
+    key: fs.readFileSync(CONFIG.TLS_KEY_FILE),
+    ...(CONFIG.TLS_CA_FILE && { ca: fs.readFileSync(CONFIG.TLS_CA_FILE) })
+  };
+}
+
+/**
+ * Reload the TLS files into a server whenever they change
+ * New handshakes get the new certificate while open connections keep
+ * theirs. A mismatched pair (cert replaced before the key) is logged and
+ * picked up again on the next change. Watching stops when the server closes.
+ * 
+ * @param {tls.Server} tlsServer - HTTPS or HTTP/2 server
+ */
+function watchTlsFiles(tlsServer) {
+  const files = [CONFIG.TLS_CERT_FILE, CONFIG.TLS_KEY_FILE, CONFIG.TLS_CA_FILE].filter(Boolean);
   
-  // Track all connections for graceful shutdown
-  server.on('connection', (socket) => {
+  const reload = (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+    try {
+      tlsServer.setSecureContext(readTlsFiles());
+      log.server.info('TLS certificate reloaded');
+    } catch (error) {
+      log.server.warn('TLS certificate reload failed, keeping the current certificate', { error });
+    }
+  };
+  
+  for (const file of files) {
+    fs.watchFile(file, { persistent: false, interval: CONFIG.TLS_WATCH_INTERVAL_MS }, reload);
+  }
+  tlsServer.on('close', () => {
+    for (const file of files) {
+      fs.unwatchFile(file, reload);
+    }
+  });
+}
+
+/**
+ * Track a server's connections and in-flight requests for graceful shutdown
+ * 
+ * @param {net.Server} target - Server to track
+ * @param {string} connectionEvent - 'connection', or 'secureConnection' for TLS
+ *   servers, whose requests run on the TLS socket rather than the raw one
+ */
+function trackConnections(target, connectionEvent) {
+  target.on(connectionEvent, (socket) => {
     resources.connections.add(socket);
     
     socket.on('close', () => {
       resources.connections.delete(socket);
+      resources.activeRequests.delete(socket);
     });
   });
   
-  // Handle server errors (e.g., port already in use)
-  server.on('error', (error) => {
+  // HTTP/2 sessions multiplex requests, so they are closed as a whole
+  target.on('session', (session) => {
+    resources.sessions.add(session);
+    session.on('close', () => resources.sessions.delete(session));
+  });
+  
+  // Track in-flight requests per socket so shutdown can let them finish
+  target.on('request', (req, res) => {
+    if (req.httpVersionMajor === 2) {
+      return;
+    }
+    const socket = req.socket;
+    resources.activeRequests.set(socket, (resources.activeRequests.get(socket) || 0) + 1);
+    
+    if (resources.isClosing) {
+      res.setHeader('Connection', 'close');
+    }
+    
+    res.on('close', () => {
+      const remaining = (resources.activeRequests.get(socket) || 1) - 1;
+      if (remaining > 0) {
+        resources.activeRequests.set(socket, remaining);
+        return;
+      }
+      resources.activeRequests.delete(socket);
+      
+      // The socket is now idle; don't keep it open once shutdown is closing
+      if (resources.isClosing) {
+        socket.end();
+      }
+    });
+  });
+}
+
+/**
+ * Build the error handler for a listening server
+ * @param {number} port - Port the server listens on
+ * @returns {Function} 'error' event listener
+ */
+function handleListenError(port) {
+  return (error) => {
     if (error.code === 'EADDRINUSE') {
-      console.error(`[ERROR] Port ${CONFIG.PORT} is already in use`);
+      log.server.error('Port is already in use', { port });
       process.exit(1);
     } else if (error.code === 'EACCES') {
-      console.error(`[ERROR] Port ${CONFIG.PORT} requires elevated privileges`);
+      log.server.error('Port requires elevated privileges', { port });
       process.exit(1);
     } else {
-      console.error('[ERROR] Server error:', error.message);
+      log.server.error('Server error', { error });
       throw error;
     }
-  });
+  };
+}
+
+/**
+ * Apply the configured header, request and keep-alive timeouts to a server
+ * @param {http.Server} target - Server to configure
+ */
+function applyServerTimeouts(target) {
+  target.headersTimeout = CONFIG.HEADERS_TIMEOUT_MS;
+  target.requestTimeout = CONFIG.REQUEST_TIMEOUT_MS;
+  target.keepAliveTimeout = CONFIG.KEEP_ALIVE_TIMEOUT_MS;
+}
+
+/**
+ * Create and configure the server
+ * Serves plain HTTP, or HTTPS when TLS files are configured (HTTP/2 with
+ * HTTP/1.1 fallback if HTTP2_ENABLED), and sets up connection tracking for
+ * graceful shutdown
+ * 
+ * @returns {http.Server|https.Server|http2.Http2SecureServer} Configured server instance
+ */
+function createServer() {
+  const tls = readTlsFiles();
+  
+  if (!tls) {
+    server = http.createServer(app);
+  } else {
+    const options = {
+      ...tls,
+      requestCert: CONFIG.TLS_CLIENT_CERT !== 'off',
+      rejectUnauthorized: CONFIG.TLS_CLIENT_CERT === 'required'
+    };
+    server = CONFIG.HTTP2_ENABLED
+      ? http2.createSecureServer({ ...options, allowHTTP1: true }, handleHttp2Request)
+      : https.createServer(options, app);
+    watchTlsFiles(server);
+  }
+  
+  applyServerTimeouts(server);
+  trackConnections(server, tls ? 'secureConnection' : 'connection');
+  
+  // Handle server errors (e.g., port already in use)
+  server.on('error', handleListenError(CONFIG.PORT));
   
   return server;
 }
 
+/**
+ * Create the plain-HTTP listener that redirects every request to HTTPS
+ * The permanent redirect (308) keeps the method and body of the request.
+ * 
+ * @returns {http.Server} Redirect server, not yet listening
+ */
+function createRedirectServer() {
+  redirectServer = http.createServer((req, res) => {
+    const hostname = (req.headers.host || CONFIG.HOST).replace(/:\d+$/, '');
+    if (!/^([a-z0-9-]+\.)*[a-z0-9-]+$|^\[[0-9a-f:.]+\]$/i.test(hostname)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid Host header');
+      return;
+    }
+    
+    const port = CONFIG.PORT === 443 ? '' : `:${CONFIG.PORT}`;
+    res.writeHead(308, { Location: `https://${hostname}${port}${req.url}` });
+    res.end();
+  });
+  
+  applyServerTimeouts(redirectServer);
+  trackConnections(redirectServer, 'connection');
+  redirectServer.on('error', handleListenError(CONFIG.HTTP_REDIRECT_PORT));
+  
+  return redirectServer;
+}
+
 // =============================================================================
 // GRACEFUL SHUTDOWN FUNCTION
 // =============================================================================
 
+/**
+ * Share of the shutdown timeout kept for cleanup after request draining (ms)
+ */
+const SHUTDOWN_CLEANUP_RESERVE_MS = 2000;
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Performs graceful shutdown of the server
- * - Stops accepting new connections
- * - Waits for existing requests to complete
+ * - Fails readiness and waits out the pre-stop drain delay
+ * - Stops accepting new connections and closes idle keep-alive sockets
+ * - Waits for in-flight requests to complete (bounded by the shutdown timeout)
  * - Cleans up all tracked resources
  * - Exits process with appropriate code
  * 
@@ -557,102 +5664,429 @@ function createServer() {
  */
 async function gracefulShutdown(signal) {
   if (resources.isShuttingDown) {
-    console.log('[SHUTDOWN] Shutdown already in progress, ignoring signal');
+    log.shutdown.info('Shutdown already in progress, ignoring signal', { signal });
     return;
   }
   
+  // Readiness fails from here on (see /health/ready)
   resources.isShuttingDown = true;
-  console.log(`\n[SHUTDOWN] Received ${signal}. Starting graceful shutdown...`);
+  log.shutdown.info('Starting graceful shutdown', { signal });
   
-  // Set a timeout for forced shutdown
+  // Set a timeout for forced shutdown; the drain delay is not part of the budget
   const forceShutdownTimer = setTimeout(() => {
-    console.error('[SHUTDOWN] Forced shutdown due to timeout');
+    log.shutdown.error('Forced shutdown due to timeout', { timeoutMs: CONFIG.SHUTDOWN_TIMEOUT_MS });
     process.exit(1);
-  }, CONFIG.SHUTDOWN_TIMEOUT_MS);
+  }, CONFIG.SHUTDOWN_DRAIN_DELAY_MS + CONFIG.SHUTDOWN_TIMEOUT_MS);
   
   // Don't let this timer keep the process alive
   forceShutdownTimer.unref();
   
   try {
-    // Step 1: Stop accepting new connections
-    console.log('[SHUTDOWN] Step 1: Stopping server from accepting new connections...');
+    // Step 1: Keep serving while load balancers notice the failed readiness
+    if (CONFIG.SHUTDOWN_DRAIN_DELAY_MS > 0) {
+      log.shutdown.info('Step 1: Waiting for load balancers to drain', { delayMs: CONFIG.SHUTDOWN_DRAIN_DELAY_MS });
+      await delay(CONFIG.SHUTDOWN_DRAIN_DELAY_MS);
+    }
     
-    if (server) {
-      await new Promise((resolve, reject) => {
-        server.close((err) => {
+    // Step 2: Stop accepting new connections and requests
+    log.shutdown.info('Step 2: Stopping server from accepting new connections');
+    resources.isClosing = true;
+    
+    const serverClosed = Promise.all([server, redirectServer].filter(Boolean).map(target => (
+      new Promise((resolve, reject) => {
+        target.close((err) => {
           if (err) {
-            console.error('[SHUTDOWN] Error closing server:', err.message);
+            log.shutdown.error('Error closing server', { error: err });
             reject(err);
           } else {
-            console.log('[SHUTDOWN] Server stopped accepting new connections');
+            log.shutdown.info('Server stopped accepting new connections');
             resolve();
           }
         });
-      });
-    }
+      })
+    )));
+    
+    // Step 3: Close idle keep-alive sockets, then let in-flight requests finish
+    const idleClosed = resources.closeIdleConnections();
+    const drainTimeoutMs = Math.max(0, CONFIG.SHUTDOWN_TIMEOUT_MS -
+      Math.min(SHUTDOWN_CLEANUP_RESERVE_MS, CONFIG.SHUTDOWN_TIMEOUT_MS / 2));
+    log.shutdown.info('Step 3: Draining in-flight requests', {
+      idleConnectionsClosed: idleClosed,
+      activeConnections: resources.activeRequests.size,
+      timeoutMs: drainTimeoutMs
+    });
     
-    // Step 2: Close all active connections
-    console.log(`[SHUTDOWN] Step 2: Closing ${resources.connections.size} active connections...`);
+    let drainTimer;
+    const drained = await Promise.race([
+      serverClosed.then(() => true),
+      new Promise(resolve => {
+        drainTimer = setTimeout(() => resolve(false), drainTimeoutMs);
+      })
+    ]);
+    clearTimeout(drainTimer);
     
+    // Step 4: Destroy connections whose requests outlived the drain timeout
+    if (!drained) {
+      log.shutdown.warn('Step 4: Closing connections with unfinished requests', {
+        connections: resources.connections.size
+      });
+    }
     for (const socket of resources.connections) {
       socket.destroy();
     }
     resources.connections.clear();
+    resources.activeRequests.clear();
     
-    // Step 3: Clear all tracked timers
-    console.log(`[SHUTDOWN] Step 3: Clearing ${resources.timers.size} active timers...`);
+    // Step 5: Clear all tracked timers
+    log.shutdown.info('Step 5: Clearing active timers', { timers: resources.timers.size });
     resources.clearAllTimers();
     
-    // Step 4: Run custom cleanup hook
-    console.log('[SHUTDOWN] Step 4: Cleaning up additional resources...');
-    await resources.cleanup();
+    // Step 6: Run registered shutdown hooks
+    log.shutdown.info('Step 6: Running shutdown hooks');
+    const hookResults = await resources.cleanup();
+    const failedHooks = hookResults.filter(result => result.status !== 'ok');
     
     // Clear the forced shutdown timer
     clearTimeout(forceShutdownTimer);
     
-    console.log('[SHUTDOWN] Graceful shutdown completed successfully');
+    if (failedHooks.length > 0) {
+      log.shutdown.error('Shutdown completed with failed hooks', { hooks: failedHooks });
+      process.exit(1);
+      return;
+    }
+    
+    log.shutdown.info('Graceful shutdown completed successfully');
     process.exit(0);
     
   } catch (error) {
-    console.error('[SHUTDOWN] Error during graceful shutdown:', error.message);
+    log.shutdown.error('Error during graceful shutdown', { error });
     clearTimeout(forceShutdownTimer);
     process.exit(1);
   }
 }
 
+// =============================================================================
+// CLUSTER MODE
+// =============================================================================
+
+/**
+ * A worker that runs this long before crashing resets the restart backoff (ms)
+ */
+const CLUSTER_WORKER_STABLE_MS = 60000;
+
+/** Cluster primary controller, set by startCluster in the primary process */
+let clusterPrimary = null;
+
+/**
+ * Create the controller for a cluster primary process
+ * The primary forks the workers (each runs startServer), restarts crashed
+ * workers with exponential backoff, forwards shutdown signals so every worker
+ * runs gracefulShutdown, and replaces workers one at a time on reload. Token
+ * revocations reported by one worker are relayed to the others, and replayed
+ * to workers forked later, so logout and refresh rotation hold on every worker.
+ * 
+ * @param {Object} [options] - Cluster options
+ * @param {number} [options.workers] - Worker count, defaults to CONFIG.CLUSTER_WORKERS
+ * @param {number} [options.restartDelayMs] - First restart delay, defaults to CONFIG.CLUSTER_RESTART_DELAY_MS
+ * @param {number} [options.maxRestartDelayMs] - Restart delay cap, defaults to CONFIG.CLUSTER_RESTART_MAX_DELAY_MS
+ * @param {Object} [options.cluster] - Cluster module, defaults to Node's
+ * @returns {Object} Controller with start/shutdown/reload and the live workers
+ */
+function createClusterPrimary(options = {}) {
+  const clusterModule = options.cluster || cluster;
+  const workerCount = options.workers ?? CONFIG.CLUSTER_WORKERS;
+  const restartDelayMs = options.restartDelayMs ?? CONFIG.CLUSTER_RESTART_DELAY_MS;
+  const maxRestartDelayMs = options.maxRestartDelayMs ?? CONFIG.CLUSTER_RESTART_MAX_DELAY_MS;
+  
+  // Workers sign with the same secret, even a generated one; the `store`
+  // claim still ties each token to the user store of the worker that issued it
+  const workerEnv = CONFIG_SOURCES.AUTH_TOKEN_SECRET === 'default'
+    ? { AUTH_TOKEN_SECRET: CONFIG.AUTH_TOKEN_SECRET }
+    : {};
+  
+  const workers = new Map();
+  const retiring = new Set();
+  const revocations = new Map();
+  const restartTimers = new Set();
+  let consecutiveCrashes = 0;
+  let shutdownSignal = null;
+  let shutdownTimer = null;
+  let exitCode = 0;
+  let reloading = false;
+  
+  /**
+   * Exit once the last worker has stopped during shutdown
+   */
+  const finishShutdown = () => {
+    clearTimeout(shutdownTimer);
+    log.cluster.info('Cluster shutdown completed', { exitCode });
+    process.exit(exitCode);
+  };
+  
+  /**
+   * Restart crashed workers; planned exits (reload, shutdown) are not restarted
+   */
+  const handleExit = (worker, code, signal, startedAt) => {
+    workers.delete(worker.id);
+    const fields = { worker: worker.id, pid: worker.process.pid, code, signal };
+    
+    if (shutdownSignal) {
+      if (code !== 0) exitCode = 1;
+      log.cluster.info('Worker stopped', fields);
+      if (workers.size === 0) finishShutdown();
+      return;
+    }
+    if (retiring.delete(worker.id)) {
+      log.cluster.info('Worker retired', fields);
+      return;
+    }
+    
+    if (Date.now() - startedAt >= CLUSTER_WORKER_STABLE_MS) {
+      consecutiveCrashes = 0;
+    }
+    const delayMs = Math.min(restartDelayMs * 2 ** consecutiveCrashes, maxRestartDelayMs);
+    consecutiveCrashes++;
+    log.cluster.error('Worker crashed, restarting', { ...fields, restartInMs: delayMs });
+    
+    const timer = setTimeout(() => {
+      restartTimers.delete(timer);
+      fork();
+    }, delayMs);
+    restartTimers.add(timer);
+  };
+  
+  /**
+   * Relay a worker's token revocation to the other live workers
+   * @param {Object} source - Worker that revoked the token
+   * @param {Object} message - TOKEN_REVOKED_MESSAGE with jti and exp
+   */
+  const shareRevocation = (source, message) => {
+    const now = nowInSeconds();
+    for (const [jti, exp] of revocations) {
+      if (exp <= now) revocations.delete(jti);
+    }
+    revocations.set(message.jti, message.exp);
+    
+    for (const worker of workers.values()) {
+      if (worker !== source && worker.isConnected()) {
+        worker.send(message);
+      }
+    }
+  };
+  
+  /**
+   * Fork a worker and watch it
+   * @returns {Object} The cluster worker
+   */
+  const fork = () => {
+    const worker = clusterModule.fork(workerEnv);
+    const startedAt = Date.now();
+    workers.set(worker.id, worker);
+    
+    // Catch the new worker up on revocations it has not seen
+    for (const [jti, exp] of revocations) {
+      worker.send({ type: TOKEN_REVOKED_MESSAGE, jti, exp });
+    }
+    
+    worker.on('message', (message) => {
+      if (message && message.type === TOKEN_REVOKED_MESSAGE) {
+        shareRevocation(worker, message);
+      }
+    });
+    worker.on('listening', (address) => {
+      log.cluster.info('Worker listening', { worker: worker.id, pid: worker.process.pid, port: address && address.port });
+    });
+    worker.on('exit', (code, signal) => handleExit(worker, code, signal, startedAt));
+    return worker;
+  };
+  
+  return {
+    workers,
+    
+    /**
+     * Fork the configured number of workers
+     */
+    start: function() {
+      log.cluster.info('Cluster primary started', { pid: process.pid, workers: workerCount });
+      log.cluster.warn('Workers keep separate in-memory state (memory stores, rate limits, idempotency keys); tokens only verify on the worker that issued them');
+      for (let i = 0; i < workerCount; i++) {
+        fork();
+      }
+    },
+    
+    /**
+     * Forward a shutdown signal to every worker and exit when all have stopped
+     * Exits with 1 if any worker failed its graceful shutdown, and kills
+     * workers that outlive the shutdown timeout.
+     * 
+     * @param {string} signal - Signal to forward (SIGTERM, SIGINT, SIGQUIT)
+     */
+    shutdown: function(signal) {
+      if (shutdownSignal) {
+        log.cluster.info('Shutdown already in progress, ignoring signal', { signal });
+        return;
+      }
+      shutdownSignal = signal;
+      log.cluster.info('Forwarding shutdown signal to workers', { signal, workers: workers.size });
+      
+      for (const timer of restartTimers) {
+        clearTimeout(timer);
+      }
+      restartTimers.clear();
+      
+      // Workers force their own exit after the shutdown timeout; this covers hung workers
+      shutdownTimer = setTimeout(() => {
+        log.cluster.error('Forced cluster shutdown due to timeout', { workers: workers.size });
+        for (const worker of workers.values()) {
+          worker.process.kill('SIGKILL');
+        }
+        process.exit(1);
+      }, CONFIG.SHUTDOWN_DRAIN_DELAY_MS + CONFIG.SHUTDOWN_TIMEOUT_MS + SHUTDOWN_CLEANUP_RESERVE_MS);
+      shutdownTimer.unref();
+      
+      if (workers.size === 0) {
+        finishShutdown();
+        return;
+      }
+      for (const worker of workers.values()) {
+        worker.process.kill(signal);
+      }
+    },
+    
+    /**
+     * Rolling restart: replace workers one at a time, stopping each old
+     * worker only once its replacement is listening
+     * 
+     * @returns {Promise<boolean>} Whether every worker was replaced
+     */
+    reload: async function() {
+      if (shutdownSignal || reloading) {
+        log.cluster.warn('Ignoring reload request', { reason: shutdownSignal ? 'shutting down' : 'reload in progress' });
+        return false;
+      }
+      reloading = true;
+      log.cluster.info('Rolling restart started', { workers: workers.size });
+      
+      try {
+        for (const previous of [...workers.values()]) {
+          if (!workers.has(previous.id)) continue;
+          
+          // A crash of the old worker from here on is covered by its replacement
+          retiring.add(previous.id);
+          const replacement = fork();
+          const listening = await new Promise(resolve => {
+            replacement.once('listening', () => resolve(true));
+            replacement.once('exit', () => resolve(false));
+          });
+          
+          if (!listening) {
+            retiring.delete(previous.id);
+            if (!shutdownSignal) {
+              log.cluster.error('Rolling restart aborted: replacement worker exited before listening', {
+                worker: replacement.id
+              });
+            }
+            return false;
+          }
+          
+          if (workers.has(previous.id)) {
+            await new Promise(resolve => {
+              previous.once('exit', resolve);
+              previous.process.kill('SIGTERM');
+            });
+          }
+        }
+        
+        log.cluster.info('Rolling restart completed', { workers: workers.size });
+        return true;
+      } finally {
+        reloading = false;
+      }
+    }
+  };
+}
+
+/**
+ * Start the cluster primary
+ * Forks the workers and installs the SIGHUP handler for rolling restarts;
+ * shutdown signals reach the primary through shutdownProcess.
+ * 
+ * @param {Object} [options] - Options for createClusterPrimary
+ * @returns {Object} Cluster primary controller
+ */
+function startCluster(options) {
+  clusterPrimary = createClusterPrimary(options);
+  clusterPrimary.start();
+  
+  process.on('SIGHUP', () => {
+    clusterPrimary.reload();
+  });
+  return clusterPrimary;
+}
+
+/**
+ * Shut this process down: the cluster primary forwards the signal to its
+ * workers, any other process runs gracefulShutdown
+ * 
+ * @param {string} reason - Signal or event that triggered shutdown
+ * @returns {Promise<void>|void}
+ */
+function shutdownProcess(reason) {
+  if (clusterPrimary) {
+    return clusterPrimary.shutdown(reason === 'SIGINT' || reason === 'SIGQUIT' ? reason : 'SIGTERM');
+  }
+  return gracefulShutdown(reason);
+}
+
 // =============================================================================
 // PROCESS EVENT HANDLERS
 // =============================================================================
 
+/** Set once this process has written its crash diagnostics */
+let crashDiagnosticsWritten = false;
+
+/**
+ * Write crash diagnostics for the first fatal error only
+ * Errors raised while shutting down after a crash would otherwise write
+ * another report (and heap snapshot) each
+ * 
+ * @param {string} event - 'uncaughtException' or 'unhandledRejection'
+ * @param {*} error - Thrown value or rejection reason
+ */
+function writeCrashDiagnosticsOnce(event, error) {
+  if (crashDiagnosticsWritten) {
+    return;
+  }
+  crashDiagnosticsWritten = true;
+  writeCrashDiagnostics(event, error);
+}
+
 /**
  * Handle uncaught exceptions
- * Logs error and initiates graceful shutdown
+ * Logs error, writes crash diagnostics (when enabled, once per process) and initiates graceful shutdown
  */
 process.on('uncaughtException', (error) => {
-  console.error(`[${new Date().toISOString()}] UNCAUGHT EXCEPTION:`, {
-    message: error.message,
-    stack: error.stack,
-    name: error.name
-  });
+  log.process.error('Uncaught exception', { error });
+  writeCrashDiagnosticsOnce('uncaughtException', error);
   
   // Attempt graceful shutdown
-  gracefulShutdown('uncaughtException').catch(() => {
+  Promise.resolve(shutdownProcess('uncaughtException')).catch(() => {
     process.exit(1);
   });
 });
 
 /**
  * Handle unhandled promise rejections
- * Logs error and initiates graceful shutdown
+ * Logs error, writes crash diagnostics (when enabled, once per process) and initiates graceful shutdown
  */
 process.on('unhandledRejection', (reason, promise) => {
-  console.error(`[${new Date().toISOString()}] UNHANDLED REJECTION:`, {
-    reason: reason instanceof Error ? reason.message : reason,
-    stack: reason instanceof Error ? reason.stack : undefined
+  log.process.error('Unhandled rejection', {
+    reason: reason instanceof Error ? reason : String(reason)
   });
+  writeCrashDiagnosticsOnce('unhandledRejection', reason);
   
   // Attempt graceful shutdown
-  gracefulShutdown('unhandledRejection').catch(() => {
+  Promise.resolve(shutdownProcess('unhandledRejection')).catch(() => {
     process.exit(1);
   });
 });
@@ -661,39 +6095,35 @@ process.on('unhandledRejection', (reason, promise) => {
  * Handle SIGTERM signal (Docker/Kubernetes termination)
  */
 process.on('SIGTERM', () => {
-  gracefulShutdown('SIGTERM');
+  shutdownProcess('SIGTERM');
 });
 
 /**
  * Handle SIGINT signal (Ctrl+C)
  */
 process.on('SIGINT', () => {
-  gracefulShutdown('SIGINT');
+  shutdownProcess('SIGINT');
 });
 
 /**
  * Handle SIGQUIT signal
  */
 process.on('SIGQUIT', () => {
-  gracefulShutdown('SIGQUIT');
+  shutdownProcess('SIGQUIT');
 });
 
 /**
  * Handle exit event for final cleanup logging
  */
 process.on('exit', (code) => {
-  console.log(`[PROCESS] Process exiting with code: ${code}`);
+  log.process.info('Process exiting', { code });
 });
 
 /**
  * Handle warnings (e.g., deprecation warnings)
  */
 process.on('warning', (warning) => {
-  console.warn(`[${new Date().toISOString()}] WARNING:`, {
-    name: warning.name,
-    message: warning.message,
-    stack: warning.stack
-  });
+  log.process.warn('Process warning', { warning });
 });
 
 // =============================================================================
@@ -702,31 +6132,44 @@ process.on('warning', (warning) => {
 
 /**
  * Start the HTTP server
- * Initializes the server and begins listening for requests
+ * Runs the registered startup hooks, then initializes the server and begins
+ * listening for requests
  * 
  * @returns {Promise<http.Server>} The started server instance
+ * @throws {Error} If a startup hook fails or times out
  */
 async function startServer() {
+  const failedHook = (await runLifecycleHooks('startup')).find(result => result.status !== 'ok');
+  if (failedHook) {
+    throw new Error(`Startup hook "${failedHook.name}" ${failedHook.status.replace('_', ' ')}: ${failedHook.error}`);
+  }
+  
   return new Promise((resolve, reject) => {
     try {
       createServer();
       
       server.listen(CONFIG.PORT, CONFIG.HOST, () => {
-        console.log('='.repeat(60));
-        console.log('  Robust Node.js Server Started');
-        console.log('='.repeat(60));
-        console.log(`  Environment: ${CONFIG.NODE_ENV}`);
-        console.log(`  Server:      http://${CONFIG.HOST}:${CONFIG.PORT}`);
-        console.log(`  Health:      http://${CONFIG.HOST}:${CONFIG.PORT}/health`);
-        console.log(`  Shutdown:    ${CONFIG.SHUTDOWN_TIMEOUT_MS}ms timeout`);
-        console.log(`  Started:     ${new Date().toISOString()}`);
-        console.log('='.repeat(60));
+        const origin = `${CONFIG.TLS_CERT_FILE ? 'https' : 'http'}://${CONFIG.HOST}:${CONFIG.PORT}`;
+        resources.hasStarted = true;
+        log.server.info('Robust Node.js Server started', {
+          environment: CONFIG.NODE_ENV,
+          url: origin,
+          health: `${origin}/health`,
+          protocols: CONFIG.HTTP2_ENABLED ? ['h2', 'http/1.1'] : ['http/1.1'],
+          shutdownTimeoutMs: CONFIG.SHUTDOWN_TIMEOUT_MS
+        });
+        
+        if (CONFIG.HTTP_REDIRECT_PORT > 0) {
+          createRedirectServer().listen(CONFIG.HTTP_REDIRECT_PORT, CONFIG.HOST, () => {
+            log.server.info('Redirecting plain HTTP to HTTPS', { port: CONFIG.HTTP_REDIRECT_PORT });
+          });
+        }
         
         resolve(server);
       });
       
     } catch (error) {
-      console.error('[STARTUP] Failed to start server:', error.message);
+      log.server.error('Failed to start server', { error });
       reject(error);
     }
   });
@@ -734,10 +6177,23 @@ async function startServer() {
 
 // Start server if this is the main module (not being required for testing)
 if (require.main === module) {
-  startServer().catch((error) => {
-    console.error('[STARTUP] Fatal error:', error.message);
-    process.exit(1);
-  });
+  if (cluster.isPrimary && CONFIG.CLUSTER_WORKERS > 0) {
+    startCluster();
+  } else {
+    if (cluster.isWorker) {
+      // The IPC channel closes when the primary dies; don't outlive it
+      process.on('disconnect', () => gracefulShutdown('disconnect'));
+      process.on('message', (message) => {
+        if (message && message.type === TOKEN_REVOKED_MESSAGE) {
+          rememberRevokedToken(message.jti, message.exp);
+        }
+      });
+    }
+    startServer().catch((error) => {
+      log.server.error('Fatal startup error', { error });
+      process.exit(1);
+    });
+  }
 }
 
 // =============================================================================
@@ -752,8 +6208,36 @@ if (require.main === module) {
 module.exports = {
   app,
   resources,
+  userStore,
+  resourceStore,
+  createMemoryStore,
+  createFileStore,
+  hashPassword,
+  verifyPassword,
+  verifyUserCredentials,
+  seedAdminUser,
+  signToken,
+  verifyToken,
+  requireAuth,
+  authorize,
+  ROUTE_ROLES,
+  buildOpenApiSpec,
+  validateAgainstSchema,
+  redactSensitive,
+  registerHealthCheck,
+  registerLifecycleHook,
+  loadConfig,
+  createRingBuffer,
+  writeCrashDiagnostics,
+  rateLimit,
+  createMemoryExpiringStore,
+  rateLimitStore,
+  idempotencyStore,
   startServer,
+  createClusterPrimary,
+  startCluster,
   gracefulShutdown,
   createServer,
+  createRedirectServer,
   CONFIG
 };
@@ -12,12 +12,140 @@
  * - Pagination Query Parameter Validation tests (4 tests)
  * - Error Handling tests (3 tests)
  * - Resource Tracking tests (1 test)
+ * - User Store tests (4 tests)
+ * - User CRUD tests (5 tests)
+ * - Password Hashing tests (4 tests)
+ * - Authentication tests (4 tests)
+ * - Role-Based Authorization tests (3 tests)
+ * - Resource Collection tests (5 tests)
+ * - Item Query tests (3 tests)
+ * - Cursor Pagination tests (3 tests)
+ * - OpenAPI Documentation tests (3 tests)
+ * - Response Validation tests (3 tests)
+ * - Structured Logging tests (3 tests)
+ * - Log Redaction tests (3 tests)
+ * - Metrics tests (3 tests)
+ * - Health Probe tests (3 tests)
+ * - Graceful Shutdown tests (3 tests)
+ * - Lifecycle Hook tests (3 tests)
+ * - Configuration tests (3 tests)
+ * - Rate Limiting tests (3 tests)
+ * - Security Header and CORS tests (3 tests)
+ * - Content Negotiation tests (3 tests)
+ * - Idempotency Key tests (3 tests)
+ * - Cluster Mode tests (3 tests)
+ * - TLS and HTTP/2 tests (3 tests)
+ * - Request Timeout tests (3 tests)
+ * - Crash Diagnostics tests (3 tests)
  * 
  * @module server.test
  */
 
+const fs = require('fs');
+const { execFileSync } = require('child_process');
+const { EventEmitter } = require('events');
+const http = require('http');
+const http2 = require('http2');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const v8 = require('v8');
+const express = require('express');
 const request = require('supertest');
-const { app, resources } = require('./server.js');
+const {
+  app,
+  resources,
+  CONFIG,
+  userStore,
+  resourceStore,
+  createFileStore,
+  createMemoryStore,
+  hashPassword,
+  verifyPassword,
+  verifyUserCredentials,
+  seedAdminUser,
+  signToken,
+  verifyToken,
+  validateAgainstSchema,
+  redactSensitive,
+  registerHealthCheck,
+  createServer,
+  createRedirectServer,
+  gracefulShutdown,
+  startServer,
+  createClusterPrimary,
+  registerLifecycleHook,
+  loadConfig,
+  createRingBuffer,
+  writeCrashDiagnostics,
+  rateLimit,
+  createMemoryExpiringStore,
+  rateLimitStore,
+  idempotencyStore
+} = require('./server.js');
+
+// =============================================================================
+// TEST HELPERS
+// =============================================================================
+
+/**
+ * Builds a valid registration body for a username
+ */
+const registration = (username, password = 'SecurePass123') => ({ username, email: `${username}@example.com`, password });
+
+/**
+ * Creates a user through the API and returns the response data
+ */
+const createUser = async (username, password) => {
+  const response = await request(app)
+    .post('/api/users')
+    .send(registration(username, password))
+    .expect(201);
+  return response.body.data;
+};
+
+/**
+ * Logs a user in and returns the issued token pair
+ */
+const login = async (username, password = 'SecurePass123') => {
+  const response = await request(app)
+    .post('/api/auth/login')
+    .send({ username, password })
+    .expect(200);
+  return response.body.data;
+};
+
+/**
+ * Creates a user, promotes it to admin and returns the response data
+ */
+const createAdmin = async (username) => {
+  const user = await createUser(username);
+  await userStore.update(user.id, { role: 'admin' });
+  return { ...user, role: 'admin' };
+};
+
+/**
+ * Builds an Authorization header value for a user's access token
+ */
+const bearer = (tokens) => `Bearer ${tokens.accessToken}`;
+
+/**
+ * Delays user inserts until the returned release function is called
+ * @returns {{started: Promise<void>, release: Function}}
+ */
+const holdInserts = () => {
+  const realInsert = userStore.insert;
+  let release;
+  let markStarted;
+  const gate = new Promise(resolve => { release = resolve; });
+  const started = new Promise(resolve => { markStarted = resolve; });
+  jest.spyOn(userStore, 'insert').mockImplementation(async (record) => {
+    markStarted();
+    await gate;
+    return realInsert(record);
+  });
+  return { started, release };
+};
 
 // =============================================================================
 // TEST SUITE CONFIGURATION
@@ -231,17 +359,34 @@ describe('Robust Server.js Test Suite', () => {
   
   describe('Resource ID Parameter Validation', () => {
     
+    let auth;
+    let resource;
+    
+    beforeAll(async () => {
+      await createUser('resource_reader');
+      auth = bearer(await login('resource_reader'));
+      const now = new Date().toISOString();
+      resource = await resourceStore.insert({
+        name: 'Seeded',
+        type: 'example',
+        status: 'active',
+        createdAt: now,
+        updatedAt: now
+      });
+    });
+    
     /**
      * Test 10: Validates ID is a positive integer
      */
     test('should validate ID is a positive integer', async () => {
       const response = await request(app)
-        .get('/api/resources/123')
+        .get(`/api/resources/${resource.id}`)
+        .set('Authorization', auth)
         .expect(200);
       
       expect(response.body.success).toBe(true);
       expect(response.body.data).toBeDefined();
-      expect(response.body.data.id).toBe(123);
+      expect(response.body.data.id).toBe(resource.id);
     });
     
     /**
@@ -250,6 +395,7 @@ describe('Robust Server.js Test Suite', () => {
     test('should reject negative IDs', async () => {
       const response = await request(app)
         .get('/api/resources/-5')
+        .set('Authorization', auth)
         .expect(400);
       
       expect(response.body.success).toBe(false);
@@ -262,6 +408,7 @@ describe('Robust Server.js Test Suite', () => {
     test('should reject non-numeric IDs', async () => {
       const response = await request(app)
         .get('/api/resources/abc')
+        .set('Authorization', auth)
         .expect(400);
       
       expect(response.body.success).toBe(false);
@@ -274,6 +421,7 @@ describe('Robust Server.js Test Suite', () => {
     test('should return appropriate error messages for invalid IDs', async () => {
       const response = await request(app)
         .get('/api/resources/0')
+        .set('Authorization', auth)
         .expect(400);
       
       expect(response.body.success).toBe(false);
@@ -292,7 +440,7 @@ describe('Robust Server.js Test Suite', () => {
   describe('Pagination Query Parameter Validation', () => {
     
     /**
-     * Test 14: Validates page >= 1
+     * Test 14: Validates page >= 1 and rejects repeated parameters
      */
     test('should validate page is greater than or equal to 1', async () => {
       const response = await request(app)
@@ -301,6 +449,16 @@ describe('Robust Server.js Test Suite', () => {
       
       expect(response.body.success).toBe(false);
       expect(response.body.error).toBe('Validation Error');
+      
+      for (const query of ['page=1&page=2', 'limit=5&limit=10', 'cursor=a&cursor=b']) {
+        const repeated = await request(app)
+          .get(`/api/items?${query}`)
+          .expect(400);
+        expect(repeated.body.error).toBe('Validation Error');
+        expect(repeated.body.details).toEqual([
+          expect.objectContaining({ field: query.split('=')[0], message: 'Must be given once, as a single value' })
+        ]);
+      }
     });
     
     /**
@@ -434,4 +592,2630 @@ describe('Robust Server.js Test Suite', () => {
       expect(typeof resources.cleanup).toBe('function');
     });
   });
+  
+  // ==========================================================================
+  // USER STORE TESTS (4 tests)
+  // ==========================================================================
+  
+  describe('User Store', () => {
+    
+    /**
+     * Test 22: Persists users with monotonic ids
+     */
+    test('should persist registered users with increasing ids', async () => {
+      const first = await request(app)
+        .post('/api/users')
+        .send({ username: 'store_first', email: 'store_first@example.com', password: 'SecurePass123' })
+        .expect(201);
+      
+      const second = await request(app)
+        .post('/api/users')
+        .send({ username: 'store_second', email: 'store_second@example.com', password: 'SecurePass123' })
+        .expect(201);
+      
+      expect(second.body.data.id).toBeGreaterThan(first.body.data.id);
+      
+      const stored = await userStore.findById(first.body.data.id);
+      expect(stored.username).toBe('store_first');
+    });
+    
+    /**
+     * Test 23: Rejects duplicate usernames and emails with 409
+     */
+    test('should return 409 with field details for duplicate username or email', async () => {
+      await request(app)
+        .post('/api/users')
+        .send({ username: 'dupe_user', email: 'dupe@example.com', password: 'SecurePass123' })
+        .expect(201);
+      
+      const response = await request(app)
+        .post('/api/users')
+        .send({ username: 'DUPE_USER', email: 'dupe@example.com', password: 'SecurePass123' })
+        .expect(409);
+      
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('Conflict');
+      expect(response.body).toHaveProperty('timestamp');
+      
+      const fields = response.body.details.map(d => d.field);
+      expect(fields).toEqual(['username', 'email']);
+      response.body.details.forEach(detail => {
+        expect(detail).toHaveProperty('message');
+        expect(detail).toHaveProperty('value');
+      });
+    });
+    
+    /**
+     * Test 24: File store survives reopening without reusing ids
+     */
+    test('should reload file store contents and keep ids monotonic', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'robust-server-'));
+      const filePath = path.join(dir, 'data', 'users.json');
+      
+      try {
+        const store = createFileStore(filePath, { unique: ['username'] });
+        // A fresh data directory is ready before the first write
+        await expect(store.ping()).resolves.toBeUndefined();
+        await store.insert({ username: 'alpha' });
+        const beta = await store.insert({ username: 'beta' });
+        await store.remove(beta.id);
+        await store.close();
+        
+        const reopened = createFileStore(filePath, { unique: ['username'] });
+        expect(reopened.instanceId()).toBe(store.instanceId());
+        expect((await reopened.findOne('username', 'alpha')).id).toBe(1);
+        expect((await reopened.insert({ username: 'gamma' })).id).toBe(3);
+        await expect(reopened.insert({ username: 'ALPHA' })).rejects.toMatchObject({ statusCode: 409 });
+        
+        // A failed write rolls back memory and does not block later writes
+        jest.spyOn(fs.promises, 'writeFile').mockRejectedValueOnce(new Error('disk full'));
+        await expect(reopened.insert({ username: 'lost' })).rejects.toThrow('disk full');
+        expect(await reopened.findOne('username', 'lost')).toBeNull();
+        expect((await reopened.insert({ username: 'kept' })).id).toBe(4);
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).records.map(record => record.username))
+          .toEqual(['alpha', 'gamma', 'kept']);
+        await reopened.close();
+        
+        await expect(reopened.insert({ username: 'delta' })).rejects.toThrow('closed');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+    
+    /**
+     * Test 25: Cleanup hook closes the user store
+     */
+    test('should close the user store during resources.cleanup', async () => {
+      const closeSpy = jest.spyOn(userStore, 'close');
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      
+      await resources.cleanup();
+      
+      expect(closeSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  // ==========================================================================
+  // USER CRUD TESTS (5 tests)
+  // ==========================================================================
+  
+  describe('User CRUD', () => {
+    
+    /**
+     * Test 26: Reads a user by ID for the user or an admin, and returns 404
+     * for unknown users
+     */
+    test('should get a user by ID for its owner or an admin and return 404 for unknown IDs', async () => {
+      const user = await createUser('crud_reader');
+      const auth = bearer(await login('crud_reader'));
+      
+      const response = await request(app)
+        .get(`/api/users/${user.id}`)
+        .set('Authorization', auth)
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual(user);
+      
+      // Accounts are not readable anonymously or by other users
+      await request(app).get(`/api/users/${user.id}`).expect(401);
+      const other = await createUser('crud_reader_other');
+      const denied = await request(app)
+        .get(`/api/users/${other.id}`)
+        .set('Authorization', auth)
+        .expect(403);
+      expect(denied.body.message).toBe('You may only access your own account');
+      
+      await createAdmin('crud_reader_admin');
+      const adminAuth = bearer(await login('crud_reader_admin'));
+      await request(app)
+        .get(`/api/users/${other.id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      
+      const missing = await request(app)
+        .get('/api/users/999999')
+        .set('Authorization', adminAuth)
+        .expect(404);
+      
+      expect(missing.body).toEqual({
+        success: false,
+        error: 'Not Found',
+        message: 'User 999999 not found',
+        requestId: expect.any(String),
+        timestamp: expect.any(String)
+      });
+    });
+    
+    /**
+     * Test 27: Lists users with pagination metadata
+     */
+    test('should list users with validated pagination', async () => {
+      await createAdmin('crud_list_a');
+      await createUser('crud_list_b');
+      const auth = bearer(await login('crud_list_a'));
+      
+      const response = await request(app)
+        .get('/api/users?page=1&limit=2')
+        .set('Authorization', auth)
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.pagination.limit).toBe(2);
+      expect(response.body.pagination.totalItems).toBeGreaterThanOrEqual(2);
+      
+      await request(app)
+        .get('/api/users?limit=500')
+        .set('Authorization', auth)
+        .expect(400);
+    });
+    
+    /**
+     * Test 28: Validates only the supplied fields on PATCH
+     */
+    test('should partially update a user and validate only supplied fields', async () => {
+      const user = await createUser('crud_patch');
+      const auth = bearer(await login('crud_patch'));
+      
+      const response = await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set('Authorization', auth)
+        .send({ email: 'Patched@Example.com' })
+        .expect(200);
+      
+      expect(response.body.data.username).toBe('crud_patch');
+      expect(response.body.data.email).toBe('patched@example.com');
+      
+      const invalid = await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set('Authorization', auth)
+        .send({ username: 'x' })
+        .expect(400);
+      
+      expect(invalid.body.details.map(d => d.field)).toEqual(['username']);
+      
+      await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set('Authorization', auth)
+        .send({})
+        .expect(400);
+    });
+    
+    /**
+     * Test 29: Rejects updates that collide with another user
+     */
+    test('should return 409 when an update conflicts with another user', async () => {
+      await createUser('crud_taken');
+      const user = await createUser('crud_renamer');
+      
+      const response = await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set('Authorization', bearer(await login('crud_renamer')))
+        .send({ username: 'crud_taken' })
+        .expect(409);
+      
+      expect(response.body.details[0].field).toBe('username');
+    });
+    
+    /**
+     * Test 30: Deletes a user and returns 404 afterwards
+     */
+    test('should delete a user and return 404 on subsequent access', async () => {
+      const user = await createUser('crud_delete');
+      const userAuth = bearer(await login('crud_delete'));
+      await createAdmin('crud_delete_admin');
+      const adminAuth = bearer(await login('crud_delete_admin'));
+      
+      const response = await request(app)
+        .delete(`/api/users/${user.id}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.id).toBe(user.id);
+      
+      await request(app).get(`/api/users/${user.id}`).set('Authorization', adminAuth).expect(404);
+      await request(app)
+        .delete(`/api/users/${user.id}`)
+        .set('Authorization', adminAuth)
+        .expect(404);
+      
+      // The deleted user's token no longer authenticates
+      await request(app)
+        .patch(`/api/users/${user.id}`)
+        .set('Authorization', userAuth)
+        .send({ username: 'crud_deleted' })
+        .expect(401);
+    });
+  });
+  
+  // ==========================================================================
+  // PASSWORD HASHING TESTS (4 tests)
+  // ==========================================================================
+  
+  describe('Password Hashing', () => {
+    
+    /**
+     * Test 31: Hashes with per-call salts and verifies correctly
+     */
+    test('should hash passwords with unique salts and verify them', async () => {
+      const first = await hashPassword('SecurePass123');
+      const second = await hashPassword('SecurePass123');
+      
+      expect(first).toMatch(/^scrypt\$/);
+      expect(first).not.toBe(second);
+      expect(await verifyPassword('SecurePass123', first)).toBe(true);
+      expect(await verifyPassword('WrongPass123', first)).toBe(false);
+      expect(await verifyPassword('SecurePass123', 'not-a-hash')).toBe(false);
+    });
+    
+    /**
+     * Test 32: Stores the hash but never returns it
+     */
+    test('should store a password hash and never include it in responses', async () => {
+      const created = await request(app)
+        .post('/api/users')
+        .send({ username: 'hash_user', email: 'hash_user@example.com', password: 'SecurePass123' })
+        .expect(201);
+      
+      expect(created.body.data).not.toHaveProperty('passwordHash');
+      expect(created.body.data).not.toHaveProperty('password');
+      
+      const stored = await userStore.findById(created.body.data.id);
+      expect(stored.passwordHash).toMatch(/^scrypt\$/);
+      
+      await createAdmin('hash_admin');
+      const adminAuth = bearer(await login('hash_admin'));
+      const fetched = await request(app).get(`/api/users/${stored.id}`).set('Authorization', adminAuth).expect(200);
+      const listed = await request(app)
+        .get('/api/users?limit=100')
+        .set('Authorization', adminAuth)
+        .expect(200);
+      
+      expect(JSON.stringify(fetched.body)).not.toContain('scrypt$');
+      expect(JSON.stringify(listed.body)).not.toContain('scrypt$');
+    });
+    
+    /**
+     * Test 33: Verifies credentials by username or email
+     */
+    test('should verify credentials by username or email', async () => {
+      const created = await request(app)
+        .post('/api/users')
+        .send({ username: 'login_user', email: 'login_user@example.com', password: 'SecurePass123' })
+        .expect(201);
+      
+      const byUsername = await verifyUserCredentials('login_user', 'SecurePass123');
+      expect(byUsername.id).toBe(created.body.data.id);
+      expect(byUsername).not.toHaveProperty('passwordHash');
+      
+      expect(await verifyUserCredentials('login_user@example.com', 'SecurePass123')).not.toBeNull();
+      expect(await verifyUserCredentials('login_user', 'WrongPass123')).toBeNull();
+      expect(await verifyUserCredentials('nobody_here', 'SecurePass123')).toBeNull();
+      
+      await request(app)
+        .patch(`/api/users/${created.body.data.id}`)
+        .set('Authorization', bearer(await login('login_user')))
+        .send({ password: 'ChangedPass456' })
+        .expect(200);
+      
+      expect(await verifyUserCredentials('login_user', 'SecurePass123')).toBeNull();
+      expect(await verifyUserCredentials('login_user', 'ChangedPass456')).not.toBeNull();
+    });
+    
+    /**
+     * Test 34: Keeps passwords out of error logs
+     */
+    test('should omit passwords from the global error handler log', async () => {
+      jest.spyOn(userStore, 'insert').mockRejectedValue(new Error('Store unavailable'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await request(app)
+        .post('/api/users')
+        .send({ username: 'log_user', email: 'log_user@example.com', password: 'SecurePass123' })
+        .expect(500);
+      
+      const logged = JSON.stringify(errorSpy.mock.calls);
+      expect(logged).toContain('log_user');
+      expect(logged).not.toContain('SecurePass123');
+    });
+  });
+  
+  // ==========================================================================
+  // AUTHENTICATION TESTS (4 tests)
+  // ==========================================================================
+  
+  describe('Authentication', () => {
+    
+    /**
+     * Test 35: Issues tokens for valid credentials only
+     */
+    test('should issue tokens on login and reject bad credentials', async () => {
+      await createUser('auth_login');
+      
+      const tokens = await login('auth_login');
+      expect(tokens.tokenType).toBe('Bearer');
+      expect(tokens.accessToken.split('.')).toHaveLength(3);
+      expect(tokens.refreshToken).toBeDefined();
+      expect(tokens.user.username).toBe('auth_login');
+      expect(tokens.user).not.toHaveProperty('passwordHash');
+      
+      const rejected = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'auth_login', password: 'WrongPass123' })
+        .expect(401);
+      
+      expect(rejected.body).toEqual({
+        success: false,
+        error: 'Unauthorized',
+        message: 'Invalid username or password',
+        requestId: expect.any(String),
+        timestamp: expect.any(String)
+      });
+      
+      await request(app)
+        .post('/api/auth/login')
+        .send({})
+        .expect(400);
+    });
+    
+    /**
+     * Test 36: Rejects missing, tampered, expired and foreign tokens with 401
+     */
+    test('should return 401 for missing, tampered, expired or foreign tokens', async () => {
+      const user = await createUser('auth_guarded');
+      const { accessToken } = await login('auth_guarded');
+      
+      const missing = await request(app)
+        .get('/api/resources/1')
+        .expect(401);
+      
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(missing.body.success).toBe(false);
+      expect(missing.body.error).toBe('Unauthorized');
+      
+      await request(app)
+        .get('/api/resources/1')
+        .set('Authorization', `Bearer ${accessToken.slice(0, -2)}xx`)
+        .expect(401);
+      
+      const expired = signToken({ sub: user.id, type: 'access' }, -1);
+      const response = await request(app)
+        .get('/api/resources/1')
+        .set('Authorization', `Bearer ${expired}`)
+        .expect(401);
+      
+      expect(response.body.message).toBe('Token has expired');
+      
+      // Cluster workers share the secret, but user ids in another worker's
+      // store belong to other people
+      const otherStore = createMemoryStore({ unique: ['username', 'email'] });
+      const foreign = signToken({ sub: user.id, store: otherStore.instanceId(), type: 'access' }, 60);
+      expect(verifyToken(foreign, 'access', otherStore).sub).toBe(user.id);
+      expect(() => verifyToken(accessToken, 'access', otherStore)).toThrow('Token was issued by another server instance');
+      const impersonating = await request(app)
+        .get('/api/resources/1')
+        .set('Authorization', `Bearer ${foreign}`)
+        .expect(401);
+      expect(impersonating.body.message).toBe('Token was issued by another server instance');
+    });
+    
+    /**
+     * Test 37: Forbids modifying another user's account
+     */
+    test('should return 403 when modifying another user', async () => {
+      const victim = await createUser('auth_victim');
+      await createUser('auth_intruder');
+      const auth = bearer(await login('auth_intruder'));
+      
+      const response = await request(app)
+        .delete(`/api/users/${victim.id}`)
+        .set('Authorization', auth)
+        .expect(403);
+      
+      expect(response.body.error).toBe('Forbidden');
+      expect(response.body).toHaveProperty('timestamp');
+      
+      expect(await userStore.findById(victim.id)).not.toBeNull();
+    });
+    
+    /**
+     * Test 38: Rotates refresh tokens and revokes tokens on logout and password change
+     */
+    test('should rotate refresh tokens and revoke tokens on logout and password change', async () => {
+      await createUser('auth_session');
+      const tokens = await login('auth_session');
+      
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+      
+      // A refresh token is single-use, and access tokens are not refresh tokens
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.accessToken })
+        .expect(401);
+      
+      const next = refreshed.body.data;
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', bearer(next))
+        .send({ refreshToken: next.refreshToken })
+        .expect(200);
+      
+      await request(app)
+        .get('/api/resources/1')
+        .set('Authorization', bearer(next))
+        .expect(401);
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: next.refreshToken })
+        .expect(401);
+      
+      // Concurrent refreshes with one token: only one of them succeeds
+      const session = await login('auth_session');
+      const statuses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: session.refreshToken })
+        .then(response => response.status)));
+      expect(statuses.sort()).toEqual([200, 401]);
+      
+      // A password change invalidates refresh tokens issued before it
+      const beforeChange = await login('auth_session');
+      await request(app)
+        .patch(`/api/users/${beforeChange.user.id}`)
+        .set('Authorization', bearer(beforeChange))
+        .send({ password: 'ChangedPass456' })
+        .expect(200);
+      const rejected = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: beforeChange.refreshToken })
+        .expect(401);
+      expect(rejected.body.message).toBe('Token has been revoked');
+    });
+  });
+  
+  // ==========================================================================
+  // ROLE-BASED AUTHORIZATION TESTS (3 tests)
+  // ==========================================================================
+  
+  describe('Role-Based Authorization', () => {
+    
+    /**
+     * Test 39: Assigns the viewer role and denies admin-only routes with 403
+     */
+    test('should register viewers and deny them admin-only routes', async () => {
+      const user = await createUser('role_viewer');
+      expect(user.role).toBe('viewer');
+      
+      const other = await createUser('role_target');
+      const auth = bearer(await login('role_viewer'));
+      
+      const listResponse = await request(app)
+        .get('/api/users')
+        .set('Authorization', auth)
+        .expect(403);
+      
+      expect(listResponse.body).toEqual({
+        success: false,
+        error: 'Forbidden',
+        message: 'This action requires one of the roles: admin',
+        requestId: expect.any(String),
+        timestamp: expect.any(String)
+      });
+      
+      // Not even their own account: deleting users is reserved for admins
+      await request(app).delete(`/api/users/${user.id}`).set('Authorization', auth).expect(403);
+      await request(app).delete(`/api/users/${other.id}`).set('Authorization', auth).expect(403);
+    });
+    
+    /**
+     * Test 40: Seeds the configured admin, who can manage any account and change roles
+     */
+    test('should seed the configured admin and let admins update other users', async () => {
+      // Registering the configured name first does not make that account an admin
+      const squatter = await createUser('role_squatter');
+      Object.assign(CONFIG, { ADMIN_USERNAME: 'role_squatter', ADMIN_EMAIL: 'admin@example.com', ADMIN_PASSWORD: 'AdminPass123' });
+      expect(await seedAdminUser()).toBeNull();
+      expect((await userStore.findById(squatter.id)).role).toBe('viewer');
+      
+      CONFIG.ADMIN_USERNAME = 'role_admin';
+      const seeded = await seedAdminUser();
+      expect(seeded).toMatchObject({ username: 'role_admin', role: 'admin' });
+      expect(await seedAdminUser()).toEqual(seeded);
+      Object.assign(CONFIG, { ADMIN_USERNAME: '', ADMIN_EMAIL: '', ADMIN_PASSWORD: '' });
+      
+      const target = await createUser('role_promoted');
+      const adminAuth = bearer(await login('role_admin', 'AdminPass123'));
+      const targetAuth = bearer(await login('role_promoted'));
+      
+      const denied = await request(app)
+        .patch(`/api/users/${target.id}`)
+        .set('Authorization', targetAuth)
+        .send({ role: 'admin' })
+        .expect(403);
+      
+      expect(denied.body.message).toBe('Only admins may change user roles');
+      
+      const promoted = await request(app)
+        .patch(`/api/users/${target.id}`)
+        .set('Authorization', adminAuth)
+        .send({ role: 'editor' })
+        .expect(200);
+      
+      expect(promoted.body.data.role).toBe('editor');
+      
+      const invalid = await request(app)
+        .patch(`/api/users/${target.id}`)
+        .set('Authorization', adminAuth)
+        .send({ role: 'superuser' })
+        .expect(400);
+      
+      expect(invalid.body.details[0].field).toBe('role');
+    });
+    
+    /**
+     * Test 41: Documents the required roles for each endpoint
+     */
+    test('should list required roles for each endpoint in /api/docs', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .expect(200);
+      
+      const find = (method, path) => response.body.endpoints.find(e => e.method === method && e.path === path);
+      
+      expect(find('DELETE', '/api/users/:id').requiredRoles).toEqual(['admin']);
+      expect(find('GET', '/api/users').requiredRoles).toEqual(['admin']);
+      expect(find('GET', '/api/resources/:id').requiredRoles).toEqual(['admin', 'editor', 'viewer']);
+      expect(find('POST', '/api/users').requiredRoles).toBeNull();
+    });
+  });
+  
+  // ==========================================================================
+  // RESOURCE COLLECTION TESTS (5 tests)
+  // ==========================================================================
+  
+  describe('Resource Collection', () => {
+    
+    let editorAuth;
+    
+    beforeAll(async () => {
+      const editor = await createUser('resource_editor');
+      await userStore.update(editor.id, { role: 'editor' });
+      editorAuth = bearer(await login('resource_editor'));
+    });
+    
+    /**
+     * Creates a resource through the API and returns the response
+     */
+    const createResource = (fields = {}) => request(app)
+      .post('/api/resources')
+      .set('Authorization', editorAuth)
+      .send({ name: 'Report', type: 'document', ...fields })
+      .expect(201);
+    
+    /**
+     * Test 42: Creates resources with defaults, location and ETag
+     */
+    test('should create a resource with an ETag and default status', async () => {
+      const response = await createResource();
+      const { id } = response.body.data;
+      
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({ name: 'Report', type: 'document', status: 'active', version: 1 });
+      expect(response.headers.etag).toBe('"1"');
+      expect(response.headers.location).toBe(`/api/resources/${id}`);
+      
+      const fetched = await request(app)
+        .get(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .expect(200);
+      
+      expect(fetched.body.data).toEqual(response.body.data);
+    });
+    
+    /**
+     * Test 43: Validates resource bodies
+     */
+    test('should validate name, type and status', async () => {
+      const response = await request(app)
+        .post('/api/resources')
+        .set('Authorization', editorAuth)
+        .send({ name: '', type: 'has spaces', status: 'deleted' })
+        .expect(400);
+      
+      expect(response.body.error).toBe('Validation Error');
+      expect(response.body.details.map(d => d.field)).toEqual(['name', 'type', 'status']);
+    });
+    
+    /**
+     * Test 44: Returns 404 for unknown resources and 403 for viewers
+     */
+    test('should return 404 for unknown resources and 403 for viewer writes', async () => {
+      const missing = await request(app)
+        .get('/api/resources/999999')
+        .set('Authorization', editorAuth)
+        .expect(404);
+      
+      expect(missing.body).toEqual({
+        success: false,
+        error: 'Not Found',
+        message: 'Resource 999999 not found',
+        requestId: expect.any(String),
+        timestamp: expect.any(String)
+      });
+      
+      await request(app)
+        .patch('/api/resources/999999')
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .send({ status: 'inactive' })
+        .expect(404);
+      
+      await createUser('resource_viewer');
+      await request(app)
+        .post('/api/resources')
+        .set('Authorization', bearer(await login('resource_viewer')))
+        .send({ name: 'Report', type: 'document' })
+        .expect(403);
+    });
+    
+    /**
+     * Test 45: Requires If-Match (428) and rejects stale ones with 412
+     */
+    test('should enforce If-Match on updates', async () => {
+      const created = await createResource();
+      const { id } = created.body.data;
+      
+      const missing = await request(app)
+        .patch(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .send({ status: 'inactive' })
+        .expect(428);
+      
+      expect(missing.body.error).toBe('Precondition Required');
+      
+      const updated = await request(app)
+        .patch(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .set('If-Match', created.headers.etag)
+        .send({ status: 'inactive' })
+        .expect(200);
+      
+      expect(updated.body.data.version).toBe(2);
+      expect(updated.headers.etag).toBe('"2"');
+      
+      // A second editor still holding version 1 must not overwrite the change
+      const stale = await request(app)
+        .put(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .set('If-Match', created.headers.etag)
+        .send({ name: 'Overwrite', type: 'document' })
+        .expect(412);
+      
+      expect(stale.body.error).toBe('Precondition Failed');
+      
+      const replaced = await request(app)
+        .put(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .set('If-Match', updated.headers.etag)
+        .send({ name: 'Replaced', type: 'document' })
+        .expect(200);
+      
+      expect(replaced.body.data).toMatchObject({ name: 'Replaced', status: 'active', version: 3 });
+      
+      // Records stored before versioning was enabled start counting from 0
+      const snapshot = resourceStore.snapshot();
+      const legacy = { id: snapshot.nextId, name: 'Legacy', type: 'document', status: 'active' };
+      resourceStore.load({ ...snapshot, records: [...snapshot.records, legacy] });
+      expect((await resourceStore.update(legacy.id, { status: 'inactive' })).version).toBe(1);
+    });
+    
+    /**
+     * Test 46: Deletes resources, honouring If-Match
+     */
+    test('should delete resources and honour If-Match', async () => {
+      const created = await createResource();
+      const { id } = created.body.data;
+      
+      await request(app)
+        .delete(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .expect(428);
+      await request(app)
+        .delete(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .set('If-Match', '"99"')
+        .expect(412);
+      
+      await request(app)
+        .delete(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .set('If-Match', '*')
+        .expect(200);
+      
+      await request(app)
+        .get(`/api/resources/${id}`)
+        .set('Authorization', editorAuth)
+        .expect(404);
+    });
+  });
+  
+  // ==========================================================================
+  // ITEM QUERY TESTS (3 tests)
+  // ==========================================================================
+  
+  describe('Item Query', () => {
+    
+    /**
+     * Test 47: Sorts by multiple keys and selects sparse fieldsets
+     */
+    test('should sort items and return only the requested fields', async () => {
+      const response = await request(app)
+        .get('/api/items?sort=-createdAt,name&fields=id,name&limit=3')
+        .expect(200);
+      
+      expect(response.body.data).toEqual([
+        { id: 100, name: 'Item 100' },
+        { id: 99, name: 'Item 99' },
+        { id: 98, name: 'Item 98' }
+      ]);
+      expect(response.body.pagination.totalItems).toBe(100);
+    });
+    
+    /**
+     * Test 48: Filters with operators and paginates the matches
+     */
+    test('should filter items with operators before paginating', async () => {
+      const response = await request(app)
+        .get('/api/items?name[contains]=9&createdAt[gte]=2024-01-04T00:00:00Z&sort=id')
+        .expect(200);
+      
+      const ids = response.body.data.map(item => item.id);
+      expect(ids).toEqual([79, 89, 90, 91, 92, 93, 94, 95, 96, 97]);
+      expect(response.body.pagination.totalItems).toBe(12);
+      expect(response.body.pagination.totalPages).toBe(2);
+      
+      const exact = await request(app)
+        .get('/api/items?name=Item%207')
+        .expect(200);
+      
+      expect(exact.body.data.map(item => item.id)).toEqual([7]);
+    });
+    
+    /**
+     * Test 49: Rejects bad operators, unknown fields, sort keys and fields with structured 400s
+     */
+    test('should return structured 400 errors for invalid query expressions', async () => {
+      const response = await request(app)
+        .get('/api/items?name[regex]=x&createdAt[gte]=yesterday&sort=price&fields=id,secret&foo[eq]=1')
+        .expect(400);
+      
+      expect(response.body.error).toBe('Validation Error');
+      
+      const fields = response.body.details.map(d => d.field).sort();
+      expect(fields).toEqual(['createdAt', 'fields', 'foo', 'name', 'sort']);
+      
+      const unknownError = response.body.details.find(d => d.field === 'foo');
+      expect(unknownError.message).toBe('Unknown query parameter "foo"; allowed: page, limit, cursor, sort, fields, id, name, createdAt');
+      
+      const nameError = response.body.details.find(d => d.field === 'name');
+      expect(nameError.message).toContain('Unsupported filter operator "regex"');
+      expect(nameError.value).toEqual({ regex: 'x' });
+    });
+  });
+  
+  // ==========================================================================
+  // CURSOR PAGINATION TESTS (3 tests)
+  // ==========================================================================
+  
+  describe('Cursor Pagination', () => {
+    
+    /**
+     * Test 50: Navigates with cursors and Link headers
+     */
+    test('should page forward and back with cursors and Link headers', async () => {
+      const first = await request(app)
+        .get('/api/items?limit=5&sort=-id')
+        .expect(200);
+      
+      expect(first.body.pagination.mode).toBe('page');
+      expect(first.body.pagination.prevCursor).toBeNull();
+      expect(first.headers.link).toBe('</api/items?limit=5&sort=-id&page=2>; rel="next"');
+      
+      const second = await request(app)
+        .get(`/api/items?limit=5&sort=-id&cursor=${first.body.pagination.nextCursor}`)
+        .expect(200);
+      
+      expect(second.body.pagination).toMatchObject({ mode: 'cursor', limit: 5, hasNextPage: true, hasPreviousPage: true });
+      expect(second.body.data.map(item => item.id)).toEqual([95, 94, 93, 92, 91]);
+      expect(second.headers.link).toContain(`cursor=${second.body.pagination.nextCursor}>; rel="next"`);
+      expect(second.headers.link).toContain(`cursor=${second.body.pagination.prevCursor}>; rel="prev"`);
+      
+      const back = await request(app)
+        .get(`/api/items?limit=5&sort=-id&cursor=${second.body.pagination.prevCursor}`)
+        .expect(200);
+      
+      expect(back.body.data).toEqual(first.body.data);
+      expect(back.body.pagination.hasPreviousPage).toBe(false);
+    });
+    
+    /**
+     * Test 51: Rejects tampered, mismatched or combined cursors
+     */
+    test('should reject tampered cursors and cursors for a different query', async () => {
+      const first = await request(app)
+        .get('/api/items?limit=5&sort=name')
+        .expect(200);
+      
+      const cursor = first.body.pagination.nextCursor;
+      const [data, signature] = cursor.split('.');
+      const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(data, 'base64url')), id: 1 }))
+        .toString('base64url');
+      
+      const tampered = await request(app)
+        .get(`/api/items?limit=5&sort=name&cursor=${forged}.${signature}`)
+        .expect(400);
+      
+      expect(tampered.body.details[0]).toMatchObject({
+        field: 'cursor',
+        message: 'Cursor is invalid or has been tampered with'
+      });
+      
+      const mismatched = await request(app)
+        .get(`/api/items?limit=5&sort=-name&cursor=${cursor}`)
+        .expect(400);
+      
+      expect(mismatched.body.details[0].message).toContain('does not match');
+      
+      await request(app)
+        .get(`/api/items?limit=5&sort=name&page=2&cursor=${cursor}`)
+        .expect(400);
+    });
+    
+    /**
+     * Test 52: Cursors stay consistent when earlier records are deleted
+     */
+    test('should not skip records when data changes between pages', async () => {
+      await createAdmin('cursor_admin');
+      await createUser('cursor_newest');
+      const auth = bearer(await login('cursor_admin'));
+      
+      const first = await request(app)
+        .get('/api/users?limit=2&sort=-id')
+        .set('Authorization', auth)
+        .expect(200);
+      
+      const [newest] = first.body.data;
+      expect(newest.username).toBe('cursor_newest');
+      
+      const expectedNext = (await request(app)
+        .get('/api/users?limit=2&page=2&sort=-id')
+        .set('Authorization', auth)
+        .expect(200)).body.data[0];
+      
+      await request(app)
+        .delete(`/api/users/${newest.id}`)
+        .set('Authorization', auth)
+        .expect(200);
+      
+      const next = await request(app)
+        .get(`/api/users?limit=2&sort=-id&cursor=${first.body.pagination.nextCursor}`)
+        .set('Authorization', auth)
+        .expect(200);
+      
+      expect(next.body.data[0].id).toBe(expectedNext.id);
+    });
+  });
+  
+  // ==========================================================================
+  // OPENAPI DOCUMENTATION TESTS (3 tests)
+  // ==========================================================================
+  
+  describe('OpenAPI Documentation', () => {
+    
+    /**
+     * Test 53: Derives parameters and bodies from validation chains
+     */
+    test('should derive request schemas from the validation chains', async () => {
+      const response = await request(app)
+        .get('/api/docs/openapi.json')
+        .expect(200)
+        .expect('Content-Type', /json/);
+      
+      const spec = response.body;
+      expect(spec.openapi).toBe('3.0.3');
+      
+      const createUser = spec.paths['/api/users'].post;
+      const bodySchema = createUser.requestBody.content['application/json'].schema;
+      expect(bodySchema.required).toEqual(['username', 'email', 'password']);
+      expect(bodySchema.properties.username).toMatchObject({ type: 'string', minLength: 3, maxLength: 50 });
+      expect(bodySchema.properties.email.format).toBe('email');
+      expect(Object.keys(createUser.responses)).toEqual(expect.arrayContaining(['201', '400', '409']));
+      
+      const getResource = spec.paths['/api/resources/{id}'].get;
+      expect(getResource.parameters).toEqual([
+        expect.objectContaining({ name: 'id', in: 'path', required: true, schema: expect.objectContaining({ type: 'integer', minimum: 1 }) })
+      ]);
+      expect(getResource.security).toEqual([{ bearerAuth: [] }]);
+      expect(getResource['x-required-roles']).toEqual(['admin', 'editor', 'viewer']);
+      
+      const limit = spec.paths['/api/items'].get.parameters.find(p => p.name === 'limit');
+      expect(limit).toMatchObject({ in: 'query', required: false, schema: { type: 'integer', minimum: 1, maximum: 100 } });
+      
+      const statusSchema = spec.paths['/api/resources'].post.requestBody.content['application/json'].schema.properties.status;
+      expect(statusSchema.enum).toEqual(['active', 'inactive', 'archived']);
+    });
+    
+    /**
+     * Test 54: Documents every registered route
+     */
+    test('should document every registered route without a hand-maintained list', async () => {
+      const spec = (await request(app).get('/api/docs/openapi.json').expect(200)).body;
+      const docs = (await request(app).get('/api/docs').set('Accept', 'application/json').expect(200)).body;
+      
+      const registered = app._router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${layer.route.path}`));
+      
+      const documented = Object.entries(spec.paths).flatMap(([path, operations]) =>
+        Object.keys(operations).map(method => `${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`));
+      
+      expect(documented.sort()).toEqual([...registered].sort());
+      expect(docs.endpoints.map(e => `${e.method} ${e.path}`).sort()).toEqual([...registered].sort());
+      expect(docs.openapi).toBe('/api/docs/openapi.json');
+    });
+    
+    /**
+     * Test 55: Serves a self-contained HTML viewer
+     */
+    test('should serve an offline HTML viewer to browsers', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .set('Accept', 'text/html')
+        .expect(200)
+        .expect('Content-Type', /html/);
+      
+      expect(response.text).toContain('/api/docs/openapi.json');
+      expect(response.text).not.toMatch(/(src|href)=["']?https?:/);
+    });
+  });
+  
+  // ==========================================================================
+  // RESPONSE VALIDATION TESTS (3 tests)
+  // ==========================================================================
+  
+  describe('Response Validation', () => {
+    
+    afterEach(() => {
+      CONFIG.RESPONSE_VALIDATION = 'strict';
+    });
+    
+    /**
+     * Test 56: Reports nested mismatches with their location
+     */
+    test('should report schema mismatches with their location', () => {
+      const schema = {
+        type: 'object',
+        required: ['success', 'data'],
+        properties: {
+          success: { type: 'boolean', enum: [true] },
+          data: { $ref: '#/components/schemas/User' }
+        }
+      };
+      
+      expect(validateAgainstSchema(schema, {
+        success: true,
+        data: { id: 1, username: 'a', email: 'a@example.com', role: 'viewer', createdAt: '2024-01-01T00:00:00Z', updatedAt: '2024-01-01T00:00:00Z' }
+      })).toEqual([]);
+      
+      expect(validateAgainstSchema(schema, {
+        success: false,
+        data: { id: '1', username: 'a', email: 'a@example.com', role: 'owner', createdAt: 'never' }
+      })).toEqual([
+        'body.success: must be one of true',
+        'body.data.updatedAt: is required',
+        'body.data.id: expected integer but got string',
+        'body.data.role: must be one of "admin", "editor", "viewer"',
+        'body.data.createdAt: must be a date-time string'
+      ]);
+    });
+    
+    /**
+     * Test 57: Fails loudly in strict mode
+     */
+    test('should replace drifting responses with a 500 in strict mode', async () => {
+      expect(CONFIG.RESPONSE_VALIDATION).toBe('strict');
+      const user = await createUser('contract_user');
+      await createAdmin('contract_user_admin');
+      const auth = bearer(await login('contract_user_admin'));
+      const findById = userStore.findById;
+      jest.spyOn(userStore, 'findById').mockImplementation(async id => (id === user.id ? { ...user, id: String(user.id) } : findById(id)));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const response = await request(app)
+        .get(`/api/users/${user.id}`)
+        .set('Authorization', auth)
+        .expect(500);
+      
+      expect(response.body.error).toBe('Response Validation Error');
+      expect(response.body.message).toBe('Response for GET /api/users/:id (200) does not match its declared schema');
+      expect(response.body.details).toEqual([
+        { field: 'body.data.id', message: 'body.data.id: expected integer but got string' }
+      ]);
+      const entry = JSON.parse(errorSpy.mock.calls[0][0]);
+      expect(entry).toMatchObject({
+        level: 'error',
+        component: 'contract',
+        route: 'GET /api/users/:id',
+        requestId: response.headers['x-request-id']
+      });
+    });
+    
+    /**
+     * Test 58: Only logs in warn mode
+     */
+    test('should log but pass through drifting responses in warn mode', async () => {
+      CONFIG.RESPONSE_VALIDATION = 'warn';
+      const user = await createUser('contract_warn');
+      await createAdmin('contract_warn_admin');
+      const auth = bearer(await login('contract_warn_admin'));
+      const findById = userStore.findById;
+      jest.spyOn(userStore, 'findById').mockImplementation(async id => (id === user.id ? { ...user, email: 42 } : findById(id)));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const response = await request(app)
+        .get(`/api/users/${user.id}`)
+        .set('Authorization', auth)
+        .expect(200);
+      
+      expect(response.body.data.email).toBe(42);
+      expect(errorSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+  
+  // ===========================================================================
+  // STRUCTURED LOGGING TESTS
+  // ===========================================================================
+  
+  describe('Structured Logging', () => {
+    /**
+     * Test 59: Echoes well-formed request ids and generates the rest
+     */
+    test('should propagate or generate X-Request-Id', async () => {
+      const echoed = await request(app)
+        .get('/health')
+        .set('X-Request-Id', 'trace-123.abc')
+        .expect(200);
+      expect(echoed.headers['x-request-id']).toBe('trace-123.abc');
+      
+      const generated = await request(app)
+        .get('/health')
+        .set('X-Request-Id', 'not valid!')
+        .expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+    
+    /**
+     * Test 60: Every log line of a request is JSON tagged with its id, and query strings are not logged
+     */
+    test('should tag JSON log lines with the request id', async () => {
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      
+      await request(app)
+        .post('/api/users?token=secret-value')
+        .set('X-Request-Id', 'log-correlation-1')
+        .send({ username: 'log_corr', email: 'log_corr@example.com', password: 'SecurePass123' })
+        .expect(201);
+      
+      const entries = logSpy.mock.calls.map(([line]) => JSON.parse(line));
+      const messages = entries.filter(entry => entry.requestId === 'log-correlation-1').map(entry => entry.message);
+      expect(messages).toEqual(['Request started', 'New user registered', 'Request completed']);
+      expect(entries[1]).toMatchObject({ level: 'info', component: 'user', username: 'log_corr' });
+      expect(entries[0]).toMatchObject({ message: 'Request started', path: '/api/users' });
+      expect(logSpy.mock.calls.join('\n')).not.toContain('secret-value');
+    });
+    
+    /**
+     * Test 61: Error responses carry the request id for support lookups
+     */
+    test('should include the request id in error responses', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      const notFound = await request(app)
+        .get('/does-not-exist')
+        .set('X-Request-Id', 'missing-route')
+        .expect(404);
+      expect(notFound.body.requestId).toBe('missing-route');
+      
+      const malformed = await request(app)
+        .post('/api/users')
+        .set('X-Request-Id', 'bad-json')
+        .set('Content-Type', 'application/json')
+        .send('{"username":')
+        .expect(400);
+      expect(malformed.body.requestId).toBe('bad-json');
+    });
+  });
+  
+  // ===========================================================================
+  // LOG REDACTION TESTS
+  // ===========================================================================
+  
+  describe('Log Redaction', () => {
+    afterEach(() => {
+      CONFIG.LOG_REDACT_PATHS = [];
+    });
+    
+    /**
+     * Test 62: Redacts built-in sensitive keys and configured paths
+     */
+    test('should redact sensitive keys and custom paths', () => {
+      CONFIG.LOG_REDACT_PATHS = ['ssn', 'body.*.pin'];
+      
+      const original = {
+        headers: { Authorization: 'Bearer abc', cookie: 'sid=1', accept: '*/*' },
+        body: { newPassword: 'x', refreshToken: 'y', card: { pin: '1234', last4: '4242' } },
+        users: [{ name: 'a', ssn: '123-45-6789' }]
+      };
+      
+      expect(redactSensitive(original)).toEqual({
+        headers: { Authorization: '[REDACTED]', cookie: '[REDACTED]', accept: '*/*' },
+        body: { newPassword: '[REDACTED]', refreshToken: '[REDACTED]', card: { pin: '[REDACTED]', last4: '4242' } },
+        users: [{ name: 'a', ssn: '[REDACTED]' }]
+      });
+      expect(original.body.card.pin).toBe('1234');
+      
+      // Objects shared by two branches are not cycles
+      const address = { city: 'Oslo' };
+      const order = { billing: address, shipping: address };
+      order.self = order;
+      expect(redactSensitive(order)).toEqual({ billing: { city: 'Oslo' }, shipping: { city: 'Oslo' }, self: '[Circular]' });
+    });
+    
+    /**
+     * Test 63: Validation errors never echo a rejected password
+     */
+    test('should not echo password values in validation errors', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .send({ username: 'redact_user', email: 'redact_user@example.com', password: 'short' })
+        .expect(400);
+      
+      const passwordError = response.body.details.find(detail => detail.field === 'password');
+      expect(passwordError.value).toBe('[REDACTED]');
+      expect(JSON.stringify(response.body)).not.toContain('"short"');
+    });
+    
+    /**
+     * Test 64: Custom paths apply to the global error handler log
+     */
+    test('should apply configured redact paths to error logs', async () => {
+      CONFIG.LOG_REDACT_PATHS = ['body.email'];
+      jest.spyOn(userStore, 'insert').mockRejectedValue(new Error('Store unavailable'));
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      
+      await request(app)
+        .post('/api/users')
+        .send({ username: 'redact_path', email: 'hidden@example.com', password: 'SecurePass123' })
+        .expect(500);
+      
+      const entry = JSON.parse(errorSpy.mock.calls[0][0]);
+      expect(entry.body).toEqual({
+        username: 'redact_path',
+        email: '[REDACTED]',
+        password: '[REDACTED]'
+      });
+    });
+  });
+  
+  // ===========================================================================
+  // METRICS TESTS
+  // ===========================================================================
+  
+  describe('Metrics', () => {
+    /**
+     * Test 65: Serves the Prometheus text format
+     */
+    test('should expose metrics in Prometheus text format', async () => {
+      const response = await request(app)
+        .get('/metrics')
+        .expect('Content-Type', /^text\/plain;.*version=0\.0\.4/)
+        .expect(200);
+      
+      expect(response.text).toContain('# TYPE http_requests_total counter');
+      expect(response.text).toContain('# TYPE http_request_duration_seconds histogram');
+      expect(response.text).toMatch(/^process_resident_memory_bytes \d+$/m);
+      expect(response.text).toMatch(/^nodejs_eventloop_lag_seconds [\d.e-]+$/m);
+    });
+    
+    /**
+     * Test 66: Labels requests by route pattern and status
+     */
+    test('should count requests by route pattern and status', async () => {
+      const labels = 'method="GET",route="/api/users/:id",status="404"';
+      const sample = (text, name) => {
+        const line = text.split('\n').find(entry => entry.startsWith(`${name}{${labels}} `));
+        return line ? Number(line.split(' ').pop()) : 0;
+      };
+      const admin = await createAdmin('metrics_admin');
+      const tokens = await login(admin.username);
+      const before = (await request(app).get('/metrics').expect(200)).text;
+      
+      await request(app).get('/api/users/999999').set('Authorization', bearer(tokens)).expect(404);
+      await request(app).get('/api/users/999998').set('Authorization', bearer(tokens)).expect(404);
+      
+      const { text } = await request(app).get('/metrics').expect(200);
+      expect(sample(text, 'http_requests_total') - sample(before, 'http_requests_total')).toBe(2);
+      expect(sample(text, 'http_request_duration_seconds_count')).toBe(sample(text, 'http_requests_total'));
+      expect(text).toContain(`http_request_duration_seconds_bucket{${labels},le="+Inf"} ${sample(text, 'http_requests_total')}`);
+      expect(text).not.toContain('/api/users/999999');
+    });
+    
+    /**
+     * Test 67: Reports connection, timer and shutdown gauges
+     */
+    test('should report resource tracking gauges', async () => {
+      const timer = resources.addTimer(setTimeout(() => {}, 10000));
+      resources.isShuttingDown = true;
+      
+      try {
+        const { text } = await request(app).get('/metrics').expect(200);
+        expect(text).toMatch(/^http_active_connections \d+$/m);
+        // The /metrics request's own deadline timer was running while it rendered
+        expect(text).toContain(`server_tracked_timers ${resources.timers.size + 1}`);
+        expect(text).toContain('server_shutting_down 1');
+      } finally {
+        resources.isShuttingDown = false;
+        clearTimeout(timer);
+        resources.removeTimer(timer);
+      }
+    });
+  });
+  
+  // ===========================================================================
+  // HEALTH PROBE TESTS
+  // ===========================================================================
+  
+  describe('Health Probes', () => {
+    afterEach(() => {
+      resources.hasStarted = false;
+      resources.isShuttingDown = false;
+      resources.isClosing = false;
+    });
+    
+    /**
+     * Test 68: Liveness always passes; startup waits for listen
+     */
+    test('should report liveness and startup state', async () => {
+      const live = await request(app).get('/health/live').expect(200);
+      expect(live.body.status).toBe('alive');
+      
+      const starting = await request(app).get('/health/startup').expect(503);
+      expect(starting.body.status).toBe('starting');
+      
+      resources.hasStarted = true;
+      const started = await request(app).get('/health/startup').expect(200);
+      expect(started.body.status).toBe('started');
+    });
+    
+    /**
+     * Test 69: Readiness aggregates checks with per-check timeouts
+     */
+    test('should aggregate readiness checks with timeouts', async () => {
+      const ready = await request(app).get('/health/ready').expect(200);
+      expect(ready.body.status).toBe('ready');
+      expect(ready.body.checks.userStore.status).toBe('pass');
+      expect(ready.body.checks.resourceStore.status).toBe('pass');
+      
+      const removeFailing = registerHealthCheck('downstream', async () => {
+        throw new Error('connection refused');
+      });
+      const removeSlow = registerHealthCheck('slow', () => new Promise(() => {}), { timeoutMs: 20 });
+      
+      try {
+        const notReady = await request(app).get('/health/ready').expect(503);
+        expect(notReady.body.status).toBe('not_ready');
+        expect(notReady.body.checks.userStore.status).toBe('pass');
+        expect(notReady.body.checks.downstream).toMatchObject({ status: 'fail', error: 'connection refused' });
+        expect(notReady.body.checks.slow).toMatchObject({ status: 'fail', error: 'Check timed out after 20ms' });
+      } finally {
+        removeFailing();
+        removeSlow();
+      }
+      
+      await request(app).get('/health/ready').expect(200);
+    });
+    
+    /**
+     * Test 70: Readiness fails as soon as shutdown begins
+     */
+    test('should report not ready while shutting down but stay live', async () => {
+      resources.isShuttingDown = true;
+      
+      const ready = await request(app).get('/health/ready').expect(503);
+      expect(ready.body).toMatchObject({ status: 'not_ready', reason: 'Server is shutting down' });
+      
+      await request(app).get('/health/live').expect(200);
+      await request(app).get('/api/items').expect(200);
+      
+      resources.isClosing = true;
+      await request(app).get('/api/items').expect(503);
+      await request(app).get('/health/live').expect(200);
+    });
+  });
+  
+  // ===========================================================================
+  // GRACEFUL SHUTDOWN TESTS
+  // ===========================================================================
+  
+  describe('Graceful Shutdown', () => {
+    const originalTimeout = CONFIG.SHUTDOWN_TIMEOUT_MS;
+    
+    /**
+     * Start a real HTTP server on an ephemeral port
+     * @returns {Promise<number>} Port number
+     */
+    const startTestServer = () => new Promise(resolve => {
+      const server = createServer();
+      server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+    });
+    
+    /**
+     * Send a request with the http module and collect the response
+     * @returns {Promise<{status: number, body: string}>}
+     */
+    const send = (port, { body, ...options }) => new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, ...options }, (res) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: text }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+    
+    const registrationRequest = (username) => ({
+      method: 'POST',
+      path: '/api/users',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(registration(username))
+    });
+    
+    beforeEach(() => {
+      jest.spyOn(process, 'exit').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      CONFIG.SHUTDOWN_DRAIN_DELAY_MS = 0;
+      CONFIG.SHUTDOWN_TIMEOUT_MS = originalTimeout;
+      resources.isShuttingDown = false;
+      resources.isClosing = false;
+    });
+    
+    /**
+     * Test 71: In-flight requests complete before the process exits
+     */
+    test('should let in-flight requests finish before exiting', async () => {
+      const port = await startTestServer();
+      const { started, release } = holdInserts();
+      
+      const pending = send(port, registrationRequest('drain_inflight'));
+      await started;
+      const shutdown = gracefulShutdown('SIGTERM');
+      setTimeout(release, 50);
+      
+      const response = await pending;
+      await shutdown;
+      
+      expect(response.status).toBe(201);
+      expect(process.exit).toHaveBeenCalledWith(0);
+      expect(resources.connections.size).toBe(0);
+    });
+    
+    /**
+     * Test 72: Keeps serving during the drain delay and closes idle sockets
+     */
+    test('should serve requests during the drain delay while not ready', async () => {
+      CONFIG.SHUTDOWN_DRAIN_DELAY_MS = 100;
+      const port = await startTestServer();
+      const agent = new http.Agent({ keepAlive: true });
+      
+      try {
+        await send(port, { path: '/health/live', agent });
+        expect(resources.connections.size).toBe(1);
+        
+        const startedAt = Date.now();
+        const shutdown = gracefulShutdown('SIGTERM');
+        
+        expect((await send(port, { path: '/health/ready', agent })).status).toBe(503);
+        expect((await send(port, { path: '/api/items', agent })).status).toBe(200);
+        
+        await shutdown;
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(100);
+        expect(resources.connections.size).toBe(0);
+        expect(process.exit).toHaveBeenCalledWith(0);
+      } finally {
+        agent.destroy();
+      }
+    });
+    
+    /**
+     * Test 73: Requests that outlive the shutdown timeout are cut off
+     */
+    test('should destroy connections whose requests exceed the timeout', async () => {
+      CONFIG.SHUTDOWN_TIMEOUT_MS = 200;
+      const port = await startTestServer();
+      const { started, release } = holdInserts();
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      
+      const pending = send(port, registrationRequest('drain_stuck'));
+      await started;
+      await gracefulShutdown('SIGTERM');
+      
+      await expect(pending).rejects.toThrow(/socket hang up|ECONNRESET/);
+      expect(process.exit).toHaveBeenCalledWith(0);
+      expect(JSON.stringify(warnSpy.mock.calls)).toContain('Closing connections with unfinished requests');
+      release();
+    });
+  });
+  
+  // ===========================================================================
+  // LIFECYCLE HOOK TESTS
+  // ===========================================================================
+  
+  describe('Lifecycle Hooks', () => {
+    const unregister = [];
+    
+    afterEach(() => {
+      unregister.splice(0).forEach(remove => remove());
+      resources.isShuttingDown = false;
+      resources.isClosing = false;
+    });
+    
+    /**
+     * Test 74: Runs shutdown hooks by priority, then registration order
+     */
+    test('should run shutdown hooks in priority order', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const calls = [];
+      unregister.push(
+        registerLifecycleHook('shutdown', 'late', () => { calls.push('late'); }, { priority: 200 }),
+        registerLifecycleHook('shutdown', 'early', () => { calls.push('early'); }, { priority: 10 }),
+        registerLifecycleHook('shutdown', 'default', async () => { calls.push('default'); })
+      );
+      
+      const results = await resources.cleanup();
+      
+      expect(calls).toEqual(['early', 'default', 'late']);
+      expect(results.map(result => result.name)).toEqual(['early', 'userStore', 'resourceStore', 'rateLimitStore', 'idempotencyStore', 'default', 'late']);
+      expect(results.every(result => result.status === 'ok')).toBe(true);
+    });
+    
+    /**
+     * Test 75: Failed and timed-out hooks are logged and fail the exit code
+     */
+    test('should report failed shutdown hooks and exit with code 1', async () => {
+      const exitSpy = jest.spyOn(process, 'exit').mockImplementation(() => {});
+      const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const after = jest.fn();
+      unregister.push(
+        registerLifecycleHook('shutdown', 'broken', async () => { throw new Error('queue unreachable'); }, { priority: 1 }),
+        registerLifecycleHook('shutdown', 'stuck', () => new Promise(() => {}), { priority: 2, timeoutMs: 20 }),
+        registerLifecycleHook('shutdown', 'after', after, { priority: 3 })
+      );
+      
+      await new Promise(resolve => createServer().listen(0, '127.0.0.1', resolve));
+      await gracefulShutdown('SIGTERM');
+      
+      expect(after).toHaveBeenCalled();
+      expect(exitSpy).toHaveBeenCalledWith(1);
+      const summary = errorSpy.mock.calls
+        .map(([line]) => JSON.parse(line))
+        .find(entry => entry.message === 'Shutdown completed with failed hooks');
+      expect(summary.hooks).toEqual([
+        expect.objectContaining({ name: 'broken', status: 'failed', error: 'queue unreachable' }),
+        expect.objectContaining({ name: 'stuck', status: 'timed_out' })
+      ]);
+    });
+    
+    /**
+     * Test 76: A failing startup hook aborts startup before listening
+     */
+    test('should refuse to start when a startup hook fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const later = jest.fn();
+      unregister.push(
+        registerLifecycleHook('startup', 'migrations', async () => { throw new Error('schema locked'); }),
+        registerLifecycleHook('startup', 'warmCache', later, { priority: 500 })
+      );
+      
+      await expect(startServer()).rejects.toThrow('Startup hook "migrations" failed: schema locked');
+      expect(later).not.toHaveBeenCalled();
+      expect(resources.hasStarted).toBe(false);
+    });
+  });
+  
+  // ===========================================================================
+  // CONFIGURATION TESTS
+  // ===========================================================================
+  
+  describe('Configuration', () => {
+    let configDir;
+    
+    beforeEach(() => {
+      configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'robust-config-'));
+    });
+    
+    afterEach(() => {
+      fs.rmSync(configDir, { recursive: true, force: true });
+    });
+    
+    /**
+     * Test 77: Layers defaults, the environment's config file and env vars
+     */
+    test('should layer defaults, config file and environment variables', () => {
+      fs.writeFileSync(path.join(configDir, 'production.json'), JSON.stringify({
+        PORT: 8080,
+        BODY_LIMIT: '256kb',
+        CORS_ORIGINS: ['https://app.example.com']
+      }));
+      
+      const { config, sources } = loadConfig({
+        env: { NODE_ENV: 'production', PORT: '9090' },
+        configDir
+      });
+      
+      expect(config).toMatchObject({
+        NODE_ENV: 'production',
+        PORT: 9090,
+        BODY_LIMIT: '256kb',
+        CORS_ORIGINS: ['https://app.example.com'],
+        HOST: 'localhost',
+        LOG_FORMAT: 'json',
+        RESPONSE_VALIDATION: 'off'
+      });
+      expect(sources).toMatchObject({ PORT: 'env', BODY_LIMIT: 'file', CORS_ORIGINS: 'file', HOST: 'default' });
+    });
+    
+    /**
+     * Test 78: Reports every invalid setting at once
+     */
+    test('should list every configuration problem', () => {
+      fs.writeFileSync(path.join(configDir, 'development.json'), JSON.stringify({
+        BODY_LIMIT: 'huge',
+        POTR: 3000
+      }));
+      
+      let thrown;
+      try {
+        loadConfig({
+          env: {
+            PORT: 'abc',
+            LOG_LEVEL: 'verbose',
+            AUTH_TOKEN_SECRET: 'too-short',
+            ADMIN_USERNAME: 'root',
+            TRUST_PROXY: 'yes',
+            CLUSTER_WORKERS: '2',
+            STORE_DRIVER: 'file'
+          },
+          configDir
+        });
+      } catch (error) {
+        thrown = error;
+      }
+      
+      expect(thrown.code).toBe('ECONFIG');
+      expect(thrown.problems).toEqual([
+        expect.stringContaining('POTR: unknown setting'),
+        'PORT: expected an integer between 0 and 65535, got "abc" (env)',
+        expect.stringMatching(/^BODY_LIMIT: expected a byte count .* got "huge" \(config file .*development\.json\)$/),
+        'LOG_LEVEL: expected one of debug, info, warn, error, silent, got "verbose" (env)',
+        'AUTH_TOKEN_SECRET: expected at least 32 characters, got (hidden) (env)',
+        'TRUST_PROXY: expected true, false, a hop count or comma-separated addresses/subnets, got "yes"',
+        'ADMIN_USERNAME, ADMIN_EMAIL, ADMIN_PASSWORD: must be set together',
+        "CLUSTER_WORKERS: cannot be combined with STORE_DRIVER 'file'"
+      ]);
+      expect(thrown.message).toContain('Invalid configuration:');
+      expect(thrown.message).not.toContain('too-short');
+    });
+    
+    /**
+     * Test 79: Admins can read the effective, redacted configuration
+     */
+    test('should expose the redacted configuration to admins only', async () => {
+      const viewer = await createUser('config_viewer');
+      const viewerTokens = await login(viewer.username);
+      await request(app).get('/api/admin/config').set('Authorization', bearer(viewerTokens)).expect(403);
+      
+      const admin = await createAdmin('config_admin');
+      const tokens = await login(admin.username);
+      const response = await request(app)
+        .get('/api/admin/config')
+        .set('Authorization', bearer(tokens))
+        .expect(200);
+      
+      expect(response.body.data.config.PORT).toBe(CONFIG.PORT);
+      expect(response.body.data.config.AUTH_TOKEN_SECRET).toBe('[REDACTED]');
+      expect(response.body.data.sources.PORT).toMatch(/^(default|file|env)$/);
+      expect(JSON.stringify(response.body)).not.toContain(CONFIG.AUTH_TOKEN_SECRET);
+    });
+  });
+  
+  // ===========================================================================
+  // RATE LIMITING TESTS
+  // ===========================================================================
+  
+  describe('Rate Limiting', () => {
+    /**
+     * Build a minimal app behind a single limiter with its own store
+     * @returns {{limited: Object, store: Object}}
+     */
+    const limitedApp = (options) => {
+      const store = createMemoryExpiringStore();
+      const limited = express();
+      limited.get('/', rateLimit({ name: 'test', store, ...options }), (req, res) => res.json({ ok: true }));
+      return { limited, store };
+    };
+    
+    afterEach(() => {
+      CONFIG.RATE_LIMIT_ENABLED = false;
+      rateLimitStore.clear();
+    });
+    
+    /**
+     * Test 80: Route limits answer 429 in the error envelope and are configurable
+     */
+    test('should limit signups per IP with RateLimit headers and a 429', async () => {
+      CONFIG.RATE_LIMIT_ENABLED = true;
+      rateLimitStore.clear();
+      
+      for (let attempt = 1; attempt <= 10; attempt++) {
+        const response = await request(app).post('/api/users').send({}).expect(400);
+        expect(response.headers['ratelimit-limit']).toBe('10');
+        expect(response.headers['ratelimit-remaining']).toBe(String(10 - attempt));
+      }
+      
+      const limited = await request(app).post('/api/users').send({}).expect(429);
+      expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+      expect(limited.headers['ratelimit-policy']).toBe('10;w=3600');
+      expect(limited.body).toEqual({
+        success: false,
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded, retry in ${limited.headers['retry-after']} seconds`,
+        requestId: expect.any(String),
+        timestamp: expect.any(String)
+      });
+      
+      // Configured limits are merged over the built-in ones and validated
+      const { config } = loadConfig({ env: { ROUTE_RATE_LIMITS: '{"POST /api/auth/login": {"limit": 5}}' } });
+      expect(config.ROUTE_RATE_LIMITS['POST /api/auth/login']).toEqual({
+        algorithm: 'tokenBucket', limit: 5, refillPerSecond: 1 / 30, keyBy: 'ip'
+      });
+      expect(config.ROUTE_RATE_LIMITS['POST /api/users'].limit).toBe(10);
+      expect(() => loadConfig({ env: { ROUTE_RATE_LIMITS: '{"POST /api/items": {"limit": 5}}' } }))
+        .toThrow('ROUTE_RATE_LIMITS: POST /api/items: windowMs must be a positive integer for fixedWindow');
+    });
+    
+    /**
+     * Test 81: Token buckets allow bursts and refill over time
+     */
+    test('should refill token buckets over time', async () => {
+      const { limited, store } = limitedApp({ algorithm: 'tokenBucket', limit: 2, refillPerSecond: 20 });
+      
+      try {
+        await request(limited).get('/').expect(200);
+        await request(limited).get('/').expect(200);
+        const rejected = await request(limited).get('/').expect(429);
+        expect(rejected.headers['retry-after']).toBe('1');
+        
+        await new Promise(resolve => setTimeout(resolve, 80));
+        await request(limited).get('/').expect(200);
+      } finally {
+        await store.close();
+      }
+    });
+    
+    /**
+     * Test 82: Keys clients by API key and tracks the sweep timer
+     */
+    test('should key limits by API key and track the sweep timer', async () => {
+      const timersBefore = resources.timers.size;
+      const { limited, store } = limitedApp({ limit: 1, windowMs: 60000, keyBy: 'apiKey' });
+      expect(resources.timers.size).toBe(timersBefore + 1);
+      
+      try {
+        await request(limited).get('/').set('X-API-Key', 'key-a').expect(200);
+        await request(limited).get('/').set('X-API-Key', 'key-a').expect(429);
+        await request(limited).get('/').set('X-API-Key', 'key-b').expect(200);
+      } finally {
+        await store.close();
+      }
+      expect(resources.timers.size).toBe(timersBefore);
+    });
+  });
+  
+  // ===========================================================================
+  // SECURITY HEADER AND CORS TESTS
+  // ===========================================================================
+  
+  describe('Security Headers and CORS', () => {
+    const originalOrigins = CONFIG.CORS_ORIGINS;
+    
+    afterEach(() => {
+      CONFIG.CORS_ORIGINS = originalOrigins;
+      CONFIG.CORS_ALLOW_CREDENTIALS = false;
+      app.set('trust proxy', false);
+    });
+    
+    /**
+     * Test 83: Sets security headers and a nonce the docs viewer uses
+     */
+    test('should set security headers with a per-response CSP nonce', async () => {
+      const response = await request(app)
+        .get('/api/docs')
+        .set('Accept', 'text/html')
+        .expect(200);
+      
+      const nonce = response.headers['content-security-policy'].match(/'nonce-([^']+)'/)[1];
+      expect(response.headers['content-security-policy']).toContain("frame-ancestors 'none'");
+      expect(response.text).toContain(`<script nonce="${nonce}">`);
+      expect(response.text).toContain(`<style nonce="${nonce}">`);
+      expect(response.headers['x-content-type-options']).toBe('nosniff');
+      expect(response.headers['x-frame-options']).toBe('DENY');
+      expect(response.headers['x-powered-by']).toBeUndefined();
+      expect(response.headers['strict-transport-security']).toBeUndefined();
+      
+      const next = await request(app).get('/health').expect(200);
+      expect(next.headers['content-security-policy']).not.toContain(nonce);
+    });
+    
+    /**
+     * Test 84: Honours forwarded headers only from trusted proxies
+     */
+    test('should use forwarded protocol and address behind a trusted proxy', async () => {
+      const forwarded = () => request(app)
+        .get('/health')
+        .set('X-Forwarded-Proto', 'https')
+        .set('X-Forwarded-For', '203.0.113.7');
+      
+      expect((await forwarded().expect(200)).headers['strict-transport-security']).toBeUndefined();
+      
+      app.set('trust proxy', 'loopback');
+      const trusted = await forwarded().expect(200);
+      expect(trusted.headers['strict-transport-security']).toBe(`max-age=${CONFIG.HSTS_MAX_AGE_S}; includeSubDomains`);
+      
+      const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+      await forwarded().set('X-Request-Id', 'proxied-request').expect(200);
+      const started = logSpy.mock.calls
+        .map(([line]) => JSON.parse(line))
+        .find(entry => entry.requestId === 'proxied-request' && entry.message === 'Request started');
+      expect(started.ip).toBe('203.0.113.7');
+    });
+    
+    /**
+     * Test 85: Allows listed origins and answers preflights
+     */
+    test('should apply the CORS allowlist to simple and preflight requests', async () => {
+      CONFIG.CORS_ORIGINS = ['https://app.example.com'];
+      
+      const preflight = await request(app)
+        .options('/api/resources')
+        .set('Origin', 'https://app.example.com')
+        .set('Access-Control-Request-Method', 'POST')
+        .set('Access-Control-Request-Headers', 'Authorization, Content-Type')
+        .expect(204);
+      expect(preflight.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(preflight.headers['access-control-allow-methods']).toContain('POST');
+      expect(preflight.headers['access-control-allow-headers']).toContain('Authorization');
+      expect(preflight.headers['access-control-max-age']).toBe(String(CONFIG.CORS_MAX_AGE_S));
+      expect(preflight.headers.vary).toContain('Origin');
+      
+      const simple = await request(app).get('/health').set('Origin', 'https://app.example.com').expect(200);
+      expect(simple.headers['access-control-allow-origin']).toBe('https://app.example.com');
+      expect(simple.headers['access-control-expose-headers']).toContain('X-Request-Id');
+      
+      const foreign = await request(app).get('/health').set('Origin', 'https://evil.example.com').expect(200);
+      expect(foreign.headers['access-control-allow-origin']).toBeUndefined();
+      await request(app)
+        .options('/api/resources')
+        .set('Origin', 'https://evil.example.com')
+        .set('Access-Control-Request-Method', 'DELETE')
+        .expect(403);
+      
+      expect(() => loadConfig({ env: { CORS_ORIGINS: '*', CORS_ALLOW_CREDENTIALS: 'true' } }))
+        .toThrow("CORS_ALLOW_CREDENTIALS: cannot be combined with CORS_ORIGINS '*'");
+    });
+  });
+  
+  // ===========================================================================
+  // CONTENT NEGOTIATION TESTS
+  // ===========================================================================
+  
+  describe('Content Negotiation', () => {
+    /**
+     * Test 86: List endpoints answer in CSV or NDJSON on request
+     */
+    test('should return list results as CSV or NDJSON', async () => {
+      const csv = await request(app)
+        .get('/api/items?limit=3&sort=-id')
+        .set('Accept', 'text/csv')
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+      
+      expect(csv.text.split('\r\n')).toEqual([
+        'id,name,createdAt',
+        '100,Item 100,2024-01-05T03:00:00.000Z',
+        '99,Item 99,2024-01-05T02:00:00.000Z',
+        '98,Item 98,2024-01-05T01:00:00.000Z',
+        ''
+      ]);
+      expect(csv.headers['x-total-count']).toBe('100');
+      expect(csv.headers.link).toContain('rel="next"');
+      
+      const ndjson = await request(app)
+        .get('/api/items?limit=2&fields=name')
+        .set('Accept', 'application/x-ndjson')
+        .expect('Content-Type', /application\/x-ndjson/)
+        .expect(200);
+      expect(ndjson.text).toBe('{"name":"Item 1"}\n{"name":"Item 2"}\n');
+    });
+    
+    /**
+     * Test 87: Unsupported types get 406 and 415 in the error envelope
+     */
+    test('should answer 406 and 415 for unsupported media types', async () => {
+      const notAcceptable = await request(app)
+        .get('/api/items')
+        .set('Accept', 'application/xml')
+        .expect(406);
+      expect(notAcceptable.body).toMatchObject({
+        success: false,
+        error: 'Not Acceptable',
+        message: 'This endpoint can respond with: application/json, text/csv, application/x-ndjson'
+      });
+      
+      await request(app).get('/health').set('Accept', 'text/csv').expect(406);
+      
+      const unsupported = await request(app)
+        .post('/api/users')
+        .set('Content-Type', 'text/plain')
+        .send('username=plain')
+        .expect(415);
+      expect(unsupported.body).toMatchObject({ success: false, error: 'Unsupported Media Type' });
+    });
+    
+    /**
+     * Test 88: Imports resources from CSV all-or-nothing
+     */
+    test('should bulk import resources from CSV', async () => {
+      const admin = await createAdmin('csv_admin');
+      const tokens = await login(admin.username);
+      const importCsv = (body, type = 'text/csv') => request(app)
+        .post('/api/resources/import')
+        .set('Authorization', bearer(tokens))
+        .set('Content-Type', type)
+        .send(body);
+      
+      const created = await importCsv('name,type,status\r\n"Disk, primary",storage,\nCache,memory,inactive\n').expect(201);
+      expect(created.body.data.map(({ name, type, status }) => ({ name, type, status }))).toEqual([
+        { name: 'Disk, primary', type: 'storage', status: 'active' },
+        { name: 'Cache', type: 'memory', status: 'inactive' }
+      ]);
+      
+      const { total } = await resourceStore.list();
+      const invalid = await importCsv('name,type\nGood,ok\nBad,has space\n').expect(400);
+      expect(invalid.body.details).toEqual([
+        expect.objectContaining({ field: 'rows[1].type' })
+      ]);
+      expect((await resourceStore.list()).total).toBe(total);
+      
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const malformed = await importCsv('name,type\n"Unclosed,disk\n').expect(400);
+      expect(malformed.body.message).toBe('Unterminated quoted cell');
+      
+      await importCsv(JSON.stringify([{ name: 'x', type: 'y' }]), 'application/json').expect(415);
+      
+      // Rows are stored as one change: a failure part-way through keeps none of them
+      const store = createMemoryStore({ unique: ['name'] });
+      await store.insert({ name: 'taken' });
+      await expect(store.insertMany([{ name: 'fresh' }, { name: 'taken' }])).rejects.toMatchObject({ statusCode: 409 });
+      expect((await store.list()).total).toBe(1);
+      expect((await store.insert({ name: 'next' })).id).toBe(2);
+    });
+  });
+  
+  // ===========================================================================
+  // IDEMPOTENCY KEY TESTS
+  // ===========================================================================
+  
+  describe('Idempotency Keys', () => {
+    /**
+     * Test 89: A retried request replays the first response
+     */
+    test('should replay the stored response for a repeated key', async () => {
+      const first = await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'replay-key-1')
+        .send(registration('idem_replay'))
+        .expect(201);
+      expect(first.headers['idempotency-replayed']).toBeUndefined();
+      
+      const insert = jest.spyOn(userStore, 'insert');
+      const retry = await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'replay-key-1')
+        .send(registration('idem_replay'))
+        .expect('Content-Type', /application\/json/)
+        .expect(201);
+      
+      expect(retry.headers['idempotency-replayed']).toBe('true');
+      expect(retry.headers.location).toBe(first.headers.location);
+      expect(retry.body).toEqual(first.body);
+      expect(insert).not.toHaveBeenCalled();
+      
+      await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'x'.repeat(256))
+        .send(registration('idem_long'))
+        .expect(400);
+    });
+    
+    /**
+     * Test 90: Reusing a key for a different request is rejected; keys
+     * belong to the user, not to one access token
+     */
+    test('should answer 422 when a key is reused with a different body', async () => {
+      await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'mismatch-key')
+        .send(registration('idem_first'))
+        .expect(201);
+      
+      const response = await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'mismatch-key')
+        .send(registration('idem_second'))
+        .expect(422);
+      expect(response.body).toMatchObject({ success: false, error: 'Unprocessable Entity' });
+      expect(await userStore.findOne('username', 'idem_second')).toBeNull();
+      
+      const editor = await createUser('idem_editor');
+      await userStore.update(editor.id, { role: 'editor' });
+      const tokens = await login('idem_editor');
+      const createResource = (auth) => request(app)
+        .post('/api/resources')
+        .set('Authorization', auth)
+        .set('Idempotency-Key', 'refresh-key')
+        .send({ name: 'Retried', type: 'document' })
+        .expect(201);
+      const created = await createResource(bearer(tokens));
+      
+      const { body: refreshed } = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: tokens.refreshToken })
+        .expect(200);
+      const retried = await createResource(bearer(refreshed.data));
+      expect(retried.headers['idempotency-replayed']).toBe('true');
+      expect(retried.body.data.id).toBe(created.body.data.id);
+    });
+    
+    /**
+     * Test 91: In-flight keys conflict until their lease ends, server and
+     * transient errors are not stored and entries expire
+     */
+    test('should reject concurrent retries, skip 5xx and 429 responses and expire entries', async () => {
+      const realInsert = userStore.insert;
+      let release;
+      let markStarted;
+      const gate = new Promise(resolve => { release = resolve; });
+      const started = new Promise(resolve => { markStarted = resolve; });
+      jest.spyOn(userStore, 'insert').mockImplementationOnce(async (record) => {
+        markStarted();
+        await gate;
+        return realInsert(record);
+      });
+      
+      const pending = request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'in-flight-key')
+        .send(registration('idem_inflight'))
+        .then(response => response);
+      await started;
+      await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'in-flight-key')
+        .send(registration('idem_inflight'))
+        .expect(409);
+      
+      const leaseStart = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(leaseStart + CONFIG.IDEMPOTENCY_LEASE_S * 1000 + 1);
+      expect(idempotencyStore.sweep()).toBe(1);
+      clock.mockRestore();
+      release();
+      expect((await pending).status).toBe(201);
+      const replayed = await request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'in-flight-key')
+        .send(registration('idem_inflight'))
+        .expect(201);
+      expect(replayed.headers['idempotency-replayed']).toBe('true');
+      
+      const throttled = Object.assign(new Error('Slow down'), { statusCode: 429 });
+      jest.spyOn(userStore, 'insert').mockRejectedValueOnce(throttled);
+      const retried = () => request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'throttled-key')
+        .send(registration('idem_throttled'));
+      await retried().expect(429);
+      await retried().expect(201);
+      
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(userStore, 'insert').mockRejectedValueOnce(new Error('disk full'));
+      const failing = () => request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'failing-key')
+        .send(registration('idem_failing'));
+      await failing().expect(500);
+      await failing().expect(201);
+      
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + CONFIG.IDEMPOTENCY_TTL_S * 1000 + 1);
+      expect(idempotencyStore.sweep()).toBeGreaterThanOrEqual(2);
+      
+      const expired = await failing().expect(409);
+      expect(expired.headers['idempotency-replayed']).toBeUndefined();
+    });
+  });
+  
+  // ===========================================================================
+  // CLUSTER MODE TESTS
+  // ===========================================================================
+  
+  describe('Cluster Mode', () => {
+    /**
+     * Stand-in for the cluster module; workers are driven by emitting events
+     * @returns {EventEmitter} Fake cluster whose forked workers are in .forked
+     */
+    const createFakeCluster = () => {
+      const fake = new EventEmitter();
+      fake.forked = [];
+      fake.fork = jest.fn(() => {
+        const worker = new EventEmitter();
+        worker.id = fake.forked.length + 1;
+        worker.process = { pid: 4000 + worker.id, kill: jest.fn() };
+        worker.send = jest.fn();
+        worker.isConnected = () => true;
+        fake.forked.push(worker);
+        return worker;
+      });
+      return fake;
+    };
+    
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(process, 'exit').mockImplementation(() => {});
+    });
+    
+    /**
+     * Test 92: Crashed workers are restarted with exponential backoff and
+     * token revocations are shared between workers
+     */
+    test('should restart crashed workers with backoff', () => {
+      jest.useFakeTimers();
+      try {
+        const fake = createFakeCluster();
+        const primary = createClusterPrimary({ cluster: fake, workers: 2, restartDelayMs: 100, maxRestartDelayMs: 150 });
+        primary.start();
+        expect(fake.fork).toHaveBeenCalledTimes(2);
+        expect(fake.fork).toHaveBeenCalledWith({ AUTH_TOKEN_SECRET: CONFIG.AUTH_TOKEN_SECRET });
+        
+        fake.forked[0].emit('exit', 1, null);
+        expect(primary.workers.size).toBe(1);
+        jest.advanceTimersByTime(99);
+        expect(fake.fork).toHaveBeenCalledTimes(2);
+        jest.advanceTimersByTime(1);
+        expect(fake.fork).toHaveBeenCalledTimes(3);
+        
+        // The second consecutive crash waits longer, up to the cap
+        fake.forked[2].emit('exit', null, 'SIGSEGV');
+        jest.advanceTimersByTime(149);
+        expect(fake.fork).toHaveBeenCalledTimes(3);
+        jest.advanceTimersByTime(1);
+        expect(fake.fork).toHaveBeenCalledTimes(4);
+        expect(primary.workers.size).toBe(2);
+        
+        // Revocations reach the other workers and any worker forked later
+        const revoked = { type: 'tokenRevoked', jti: 'revoked-jti', exp: Math.floor(Date.now() / 1000) + 60 };
+        fake.forked[1].emit('message', revoked);
+        expect(fake.forked[3].send).toHaveBeenCalledWith(revoked);
+        expect(fake.forked[1].send).not.toHaveBeenCalled();
+        fake.forked[3].emit('exit', 1, null);
+        jest.advanceTimersByTime(150);
+        expect(fake.forked[4].send).toHaveBeenCalledWith(revoked);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+    
+    /**
+     * Test 93: Shutdown signals are forwarded and the primary exits last
+     */
+    test('should forward shutdown signals and exit once every worker stops', () => {
+      const fake = createFakeCluster();
+      const primary = createClusterPrimary({ cluster: fake, workers: 2 });
+      primary.start();
+      
+      primary.shutdown('SIGTERM');
+      primary.shutdown('SIGINT');
+      for (const worker of fake.forked) {
+        expect(worker.process.kill).toHaveBeenCalledTimes(1);
+        expect(worker.process.kill).toHaveBeenCalledWith('SIGTERM');
+      }
+      
+      fake.forked[0].emit('exit', 0, null);
+      expect(process.exit).not.toHaveBeenCalled();
+      fake.forked[1].emit('exit', 1, null);
+      expect(process.exit).toHaveBeenCalledWith(1);
+      expect(fake.fork).toHaveBeenCalledTimes(2);
+    });
+    
+    /**
+     * Test 94: Rolling restart replaces one worker at a time
+     */
+    test('should replace workers one at a time on reload', async () => {
+      const fake = createFakeCluster();
+      const primary = createClusterPrimary({ cluster: fake, workers: 2 });
+      primary.start();
+      const [first, second] = fake.forked;
+      
+      const reloading = primary.reload();
+      expect(await primary.reload()).toBe(false);
+      expect(fake.fork).toHaveBeenCalledTimes(3);
+      expect(first.process.kill).not.toHaveBeenCalled();
+      
+      // Old workers stop only after their replacement is listening
+      fake.forked[2].emit('listening', { port: 3000 });
+      await flush();
+      expect(first.process.kill).toHaveBeenCalledWith('SIGTERM');
+      expect(second.process.kill).not.toHaveBeenCalled();
+      first.emit('exit', 0, null);
+      await flush();
+      
+      expect(fake.fork).toHaveBeenCalledTimes(4);
+      fake.forked[3].emit('listening', { port: 3000 });
+      await flush();
+      expect(second.process.kill).toHaveBeenCalledWith('SIGTERM');
+      second.emit('exit', 0, null);
+      
+      expect(await reloading).toBe(true);
+      expect([...primary.workers.keys()]).toEqual([3, 4]);
+      expect(fake.fork).toHaveBeenCalledTimes(4);
+    });
+  });
+  
+  // ===========================================================================
+  // TLS AND HTTP/2 TESTS
+  // ===========================================================================
+  
+  describe('TLS and HTTP/2', () => {
+    const TLS_KEYS = ['TLS_CERT_FILE', 'TLS_KEY_FILE', 'TLS_CA_FILE', 'TLS_CLIENT_CERT', 'TLS_WATCH_INTERVAL_MS', 'HTTP2_ENABLED'];
+    const originalConfig = Object.fromEntries(TLS_KEYS.map(key => [key, CONFIG[key]]));
+    let tlsDir;
+    let servers;
+    
+    /**
+     * Write a self-signed certificate for localhost
+     * @param {string} name - Common name, to tell certificates apart
+     * @returns {{cert: string, key: string}} File paths
+     */
+    const writeCertificate = (name) => {
+      const files = { cert: path.join(tlsDir, 'cert.pem'), key: path.join(tlsDir, 'key.pem') };
+      execFileSync('openssl', [
+        'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+        '-keyout', `${files.key}.new`, '-out', `${files.cert}.new`, '-days', '1', '-subj', `/CN=${name}`,
+        '-addext', 'subjectAltName=DNS:localhost'
+      ], { stdio: 'ignore' });
+      fs.renameSync(`${files.key}.new`, files.key);
+      fs.renameSync(`${files.cert}.new`, files.cert);
+      return files;
+    };
+    
+    /**
+     * Listen on an ephemeral port, by default with a server built from the current CONFIG
+     * @returns {Promise<number>} Port number
+     */
+    const listen = (target = createServer()) => new Promise(resolve => {
+      servers.push(target);
+      target.listen(0, '127.0.0.1', () => resolve(target.address().port));
+    });
+    
+    /**
+     * Make an HTTPS request and collect the response
+     * @returns {Promise<{status: number, body: string, socket: tls.TLSSocket}>}
+     */
+    const get = (port, options = {}) => new Promise((resolve, reject) => {
+      https.get({ host: '127.0.0.1', servername: 'localhost', port, path: '/health/live', ...options }, (res) => {
+        // Keep-alive agents detach the socket once the response ends
+        const { socket } = res;
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: text, socket }));
+      }).on('error', reject);
+    });
+    
+    beforeEach(() => {
+      tlsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-tls-'));
+      servers = [];
+      const { cert, key } = writeCertificate('first');
+      Object.assign(CONFIG, { TLS_CERT_FILE: cert, TLS_KEY_FILE: key });
+    });
+    
+    afterEach(async () => {
+      for (const socket of resources.connections) {
+        socket.destroy();
+      }
+      await Promise.all(servers.map(target => new Promise(resolve => target.close(resolve))));
+      Object.assign(CONFIG, originalConfig);
+      fs.rmSync(tlsDir, { recursive: true, force: true });
+    });
+    
+    /**
+     * Test 95: HTTPS with required client certificates
+     */
+    test('should serve HTTPS and require client certificates for mutual TLS', async () => {
+      Object.assign(CONFIG, { TLS_CA_FILE: CONFIG.TLS_CERT_FILE, TLS_CLIENT_CERT: 'required' });
+      const port = await listen();
+      const ca = fs.readFileSync(CONFIG.TLS_CERT_FILE);
+      
+      // The self-signed certificate doubles as the client certificate and its CA
+      const response = await get(port, { ca, cert: ca, key: fs.readFileSync(CONFIG.TLS_KEY_FILE), agent: false });
+      expect(response.status).toBe(200);
+      expect(JSON.parse(response.body).status).toBe('alive');
+      
+      await expect(get(port, { ca, agent: false })).rejects.toThrow();
+      
+      expect(() => loadConfig({ env: { TLS_CERT_FILE: 'cert.pem', TLS_CLIENT_CERT: 'optional', HTTP2_ENABLED: 'true' } }))
+        .toThrow(expect.objectContaining({
+          problems: [
+            'TLS_CERT_FILE, TLS_KEY_FILE: must be set together',
+            "TLS_CLIENT_CERT: 'optional' requires TLS_CA_FILE"
+          ]
+        }));
+      expect(() => loadConfig({ env: { HTTP_REDIRECT_PORT: '8080' } }))
+        .toThrow('HTTP_REDIRECT_PORT: requires TLS_CERT_FILE and TLS_KEY_FILE');
+    });
+    
+    /**
+     * Test 96: HTTP/2 with HTTP/1.1 fallback, tracked for shutdown
+     */
+    test('should serve HTTP/2 and fall back to HTTP/1.1', async () => {
+      CONFIG.HTTP2_ENABLED = true;
+      const port = await listen();
+      const ca = fs.readFileSync(CONFIG.TLS_CERT_FILE);
+      
+      const session = http2.connect(`https://localhost:${port}`, { ca });
+      const stream = session.request({ ':method': 'POST', ':path': '/api/users', 'content-type': 'application/json' });
+      stream.end(JSON.stringify({ username: 'h2_user', email: 'h2_user@example.com', password: 'SecurePass123' }));
+      const [headers, body] = await new Promise((resolve, reject) => {
+        let text = '';
+        let responseHeaders;
+        stream.on('response', (received) => { responseHeaders = received; });
+        stream.on('data', chunk => { text += chunk; });
+        stream.on('end', () => resolve([responseHeaders, text]));
+        stream.on('error', reject);
+      });
+      
+      expect(headers[':status']).toBe(201);
+      expect(headers['content-type']).toMatch(/application\/json/);
+      expect(JSON.parse(body).data.username).toBe('h2_user');
+      expect(resources.sessions.size).toBe(1);
+      
+      // Shutdown sends the session a GOAWAY rather than cutting the socket
+      const [serverSession] = resources.sessions;
+      const closed = Promise.all([session, serverSession].map(target => new Promise(resolve => target.on('close', resolve))));
+      resources.closeIdleConnections();
+      await closed;
+      expect(resources.sessions.size).toBe(0);
+      
+      const fallback = await get(port, { ca, agent: false, ALPNProtocols: ['http/1.1'] });
+      expect(fallback.status).toBe(200);
+      expect(fallback.socket.alpnProtocol).toBe('http/1.1');
+    });
+    
+    /**
+     * Test 97: Certificates reload on change; plain HTTP redirects to HTTPS
+     */
+    test('should reload changed certificates and redirect plain HTTP', async () => {
+      CONFIG.TLS_WATCH_INTERVAL_MS = 100;
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const port = await listen();
+      const agent = new https.Agent({ keepAlive: true, rejectUnauthorized: false });
+      
+      const before = await get(port, { agent });
+      expect(before.socket.getPeerCertificate().subject.CN).toBe('first');
+      
+      writeCertificate('second');
+      let after;
+      for (let attempt = 0; attempt < 30; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        after = await get(port, { agent: false, rejectUnauthorized: false });
+        if (after.socket.getPeerCertificate().subject.CN === 'second') break;
+      }
+      expect(after.socket.getPeerCertificate().subject.CN).toBe('second');
+      
+      // The kept-alive connection from before the reload still works
+      const reused = await get(port, { agent });
+      expect(reused.socket).toBe(before.socket);
+      expect(reused.status).toBe(200);
+      agent.destroy();
+      
+      const redirectPort = await listen(createRedirectServer());
+      const redirect = await new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: redirectPort, path: '/api/items?limit=1', headers: { Host: 'example.com:80' } }, resolve)
+          .on('error', reject);
+      });
+      expect(redirect.statusCode).toBe(308);
+      expect(redirect.headers.location).toBe(`https://example.com:${CONFIG.PORT}/api/items?limit=1`);
+      redirect.resume();
+    });
+  });
+  
+  // ===========================================================================
+  // REQUEST TIMEOUT TESTS
+  // ===========================================================================
+  
+  describe('Request Timeouts', () => {
+    const originalRouteTimeout = CONFIG.ROUTE_TIMEOUT_MS;
+    
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      CONFIG.ROUTE_TIMEOUT_MS = originalRouteTimeout;
+      resources.isClosing = false;
+    });
+    
+    /**
+     * Test 98: A route that overruns its deadline gets a 504 envelope and
+     * its late replies are dropped
+     */
+    test('should answer 504 when a route overruns its deadline', async () => {
+      CONFIG.ROUTE_TIMEOUT_MS = 500;
+      const timersBefore = resources.timers.size;
+      const { started, release } = holdInserts();
+      
+      const attempt = () => request(app)
+        .post('/api/users')
+        .set('Idempotency-Key', 'deadline-key')
+        .send(registration('deadline_user'));
+      const pending = attempt().then(response => response);
+      await started;
+      expect(resources.timers.size).toBe(timersBefore + 1);
+      
+      const response = await pending;
+      expect(response.status).toBe(504);
+      expect(response.body).toEqual({
+        success: false,
+        error: 'Gateway Timeout',
+        message: 'Request did not complete within 500ms',
+        requestId: expect.any(String),
+        timestamp: expect.any(String)
+      });
+      expect(resources.timers.size).toBe(timersBefore);
+      
+      // The handler still finishes; its late response is not sent, but a
+      // retry with the same Idempotency-Key waits for it and then replays it
+      const retry = await attempt().expect(409);
+      expect(retry.body.message).toBe('A request with this Idempotency-Key is still being processed');
+      release();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      const created = await userStore.findOne('username', 'deadline_user');
+      expect(created).not.toBeNull();
+      const replayed = await attempt().expect(201);
+      expect(replayed.headers['idempotency-replayed']).toBe('true');
+      expect(replayed.headers['content-type']).toMatch(/^application\/json/);
+      expect(replayed.body.data).toMatchObject({ id: created.id, username: 'deadline_user' });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Dropped response of a timed-out request'));
+      userStore.insert.mockRestore();
+      
+      // A late reply from the handler's catch block is dropped too
+      const rejections = [];
+      const onRejection = reason => rejections.push(reason);
+      process.on('unhandledRejection', onRejection);
+      const duplicate = holdInserts();
+      const late = request(app).post('/api/users').send(registration('deadline_user')).then(response => response);
+      await duplicate.started;
+      expect((await late).status).toBe(504);
+      duplicate.release();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      process.removeListener('unhandledRejection', onRejection);
+      expect(rejections).toEqual([]);
+    });
+    
+    /**
+     * Test 99: Deadlines hit while closing answer 503; 0 disables them
+     */
+    test('should answer 503 while closing and skip disabled deadlines', async () => {
+      CONFIG.ROUTE_TIMEOUT_MS = 500;
+      const closing = holdInserts();
+      const pending = request(app).post('/api/users').send(registration('deadline_closing')).then(response => response);
+      await closing.started;
+      resources.isClosing = true;
+      
+      const response = await pending;
+      expect(response.status).toBe(503);
+      expect(response.body).toMatchObject({ success: false, error: 'Service Unavailable' });
+      closing.release();
+      resources.isClosing = false;
+      userStore.insert.mockRestore();
+      
+      CONFIG.ROUTE_TIMEOUT_MS = 0;
+      const timersBefore = resources.timers.size;
+      const open = holdInserts();
+      const slow = request(app).post('/api/users').send(registration('deadline_off')).then(result => result);
+      await open.started;
+      expect(resources.timers.size).toBe(timersBefore);
+      await new Promise(resolve => setTimeout(resolve, 80));
+      open.release();
+      expect((await slow).status).toBe(201);
+    });
+    
+    /**
+     * Test 100: Server and per-route timeouts come from the configuration
+     */
+    test('should apply configured server timeouts', async () => {
+      const configured = createServer();
+      expect(configured.headersTimeout).toBe(CONFIG.HEADERS_TIMEOUT_MS);
+      expect(configured.requestTimeout).toBe(CONFIG.REQUEST_TIMEOUT_MS);
+      expect(configured.keepAliveTimeout).toBe(CONFIG.KEEP_ALIVE_TIMEOUT_MS);
+      
+      expect(() => loadConfig({ env: { HEADERS_TIMEOUT_MS: '70000', REQUEST_TIMEOUT_MS: '60000' } }))
+        .toThrow('HEADERS_TIMEOUT_MS: must not exceed REQUEST_TIMEOUT_MS');
+      expect(loadConfig({ env: { HEADERS_TIMEOUT_MS: '70000', REQUEST_TIMEOUT_MS: '0' } }).config.HEADERS_TIMEOUT_MS).toBe(70000);
+      expect(() => loadConfig({ env: { KEEP_ALIVE_TIMEOUT_MS: '0' } }))
+        .toThrow('KEEP_ALIVE_TIMEOUT_MS: expected an integer of at least 1');
+      
+      const { config } = loadConfig({ env: { ROUTE_TIMEOUTS: '{"GET /api/items": 0}' } });
+      expect(config.ROUTE_TIMEOUTS).toEqual({ 'POST /api/resources/import': 120000, 'GET /api/items': 0 });
+      expect(() => loadConfig({ env: { ROUTE_TIMEOUTS: '{"GET /api/items": -1}' } }))
+        .toThrow('ROUTE_TIMEOUTS: GET /api/items: expected an integer of at least 0');
+      
+      const { body: spec } = await request(app).get('/api/docs/openapi.json').expect(200);
+      expect(spec.paths['/api/items'].get.responses['504']).toEqual({
+        description: 'Gateway Timeout',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      });
+    });
+  });
+  
+  // ===========================================================================
+  // CRASH DIAGNOSTICS TESTS
+  // ===========================================================================
+  
+  describe('Crash Diagnostics', () => {
+    const DIAGNOSTICS_KEYS = ['DIAGNOSTICS_ENABLED', 'DIAGNOSTICS_DIR', 'DIAGNOSTICS_HEAP_SNAPSHOT'];
+    const originalConfig = Object.fromEntries(DIAGNOSTICS_KEYS.map(key => [key, CONFIG[key]]));
+    let diagnosticsDir;
+    
+    beforeEach(() => {
+      diagnosticsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-diagnostics-'));
+      Object.assign(CONFIG, { DIAGNOSTICS_ENABLED: true, DIAGNOSTICS_DIR: diagnosticsDir });
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    afterEach(() => {
+      Object.assign(CONFIG, originalConfig);
+      fs.rmSync(diagnosticsDir, { recursive: true, force: true });
+    });
+    
+    /**
+     * Test 101: Writes a redacted report with in-flight and recent requests
+     */
+    test('should write a diagnostic report with request summaries', async () => {
+      await request(app).get('/health?token=abc').expect(200);
+      const { started, release } = holdInserts();
+      const pending = request(app)
+        .post('/api/users')
+        .send({ username: 'crash_user', email: 'crash_user@example.com', password: 'SecurePass123' })
+        .then(response => response);
+      await started;
+      
+      const getReport = process.report.getReport.bind(process.report);
+      jest.spyOn(process.report, 'getReport').mockImplementation(error => ({
+        ...getReport(error),
+        environmentVariables: { NODE_ENV: 'test', AUTH_TOKEN_SECRET: 'do-not-write' }
+      }));
+      const files = writeCrashDiagnostics('uncaughtException', new Error('boom'));
+      release();
+      await pending;
+      
+      expect(files).toEqual([expect.stringMatching(/crash-.*\.report\.json$/)]);
+      expect(path.dirname(files[0])).toBe(diagnosticsDir);
+      const report = JSON.parse(fs.readFileSync(files[0], 'utf8'));
+      expect(report.header.nodejsVersion).toBe(process.version);
+      expect(report.javascriptStack.message).toBe('Error: boom');
+      expect(report.environmentVariables).toEqual({ NODE_ENV: 'test', AUTH_TOKEN_SECRET: '[REDACTED]' });
+      expect(report.crash).toMatchObject({ event: 'uncaughtException', error: { name: 'Error', message: 'boom' } });
+      expect(report.crash.inFlightRequests).toEqual([
+        expect.objectContaining({ method: 'POST', path: '/api/users' })
+      ]);
+      expect(report.crash.recentRequests).toContainEqual(expect.objectContaining({
+        method: 'GET', path: '/health', statusCode: 200, durationMs: expect.any(Number)
+      }));
+      expect(JSON.stringify(report.crash)).not.toContain('token=abc');
+    });
+    
+    /**
+     * Test 102: The ring buffer keeps only the most recent entries
+     */
+    test('should keep the most recent entries in the ring buffer', () => {
+      const buffer = createRingBuffer(3);
+      expect(buffer.toArray()).toEqual([]);
+      [1, 2].forEach(item => buffer.push(item));
+      expect(buffer.toArray()).toEqual([1, 2]);
+      [3, 4, 5].forEach(item => buffer.push(item));
+      expect(buffer.toArray()).toEqual([3, 4, 5]);
+      
+      const empty = createRingBuffer(0);
+      empty.push(1);
+      expect(empty.toArray()).toEqual([]);
+    });
+    
+    /**
+     * Test 103: Heap snapshots are opt-in and failures never throw
+     */
+    test('should write heap snapshots on request and survive write failures', () => {
+      const snapshot = jest.spyOn(v8, 'writeHeapSnapshot').mockImplementation(file => file);
+      CONFIG.DIAGNOSTICS_HEAP_SNAPSHOT = true;
+      const files = writeCrashDiagnostics('unhandledRejection', 'plain reason');
+      expect(files).toHaveLength(2);
+      expect(snapshot).toHaveBeenCalledWith(expect.stringMatching(/\.heapsnapshot$/));
+      expect(JSON.parse(fs.readFileSync(files[0], 'utf8')).crash.error).toBe('plain reason');
+      
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const blocker = path.join(diagnosticsDir, 'not-a-directory');
+      fs.writeFileSync(blocker, '');
+      CONFIG.DIAGNOSTICS_DIR = path.join(blocker, 'reports');
+      expect(writeCrashDiagnostics('uncaughtException', new Error('boom'))).toEqual([]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Failed to write crash diagnostics'));
+      
+      CONFIG.DIAGNOSTICS_ENABLED = false;
+      expect(writeCrashDiagnostics('uncaughtException', new Error('boom'))).toBeNull();
+      expect(() => loadConfig({ env: { DIAGNOSTICS_HEAP_SNAPSHOT: 'true' } }))
+        .toThrow('DIAGNOSTICS_HEAP_SNAPSHOT: requires DIAGNOSTICS_ENABLED');
+    });
+  });
 });